@@ -22,11 +22,34 @@
  *   username    TEXT
  *   room_id     TEXT
  *   room_name   TEXT
- *   mode        TEXT    — 'coop' | 'deathmatch' | 'deathmatch_bots'
- *   result      TEXT    — 'win' | 'loss'
+ *   mode        TEXT    — 'coop' | 'deathmatch' | 'deathmatch_bots' | 'team_deathmatch' | 'capture_eagle'
+ *   result      TEXT    — 'win' | 'loss' | 'draw'
  *   score       INTEGER — frags (DM) or points (coop)
  *   deaths      INTEGER
  *   duration_s  INTEGER — seconds the game lasted
+ *   stage       INTEGER — coop campaign stage reached (null in DM)
+ *   replay_id   TEXT    — references replays.id (null if none was saved)
+ *   ts          INTEGER
+ *
+ * TABLE: replays
+ *   id          TEXT PK — file name under data/replays (see replay.js)
+ *   room_id     TEXT
+ *   room_name   TEXT
+ *   mode        TEXT
+ *   map_name    TEXT
+ *   seed        INTEGER — GameRoom PRNG seed
+ *   frames      INTEGER
+ *   size        INTEGER — bytes on disk (gzipped)
+ *   duration_s  INTEGER
+ *   ts          INTEGER
+ *
+ * TABLE: user_maps
+ *   id          INTEGER PK
+ *   uid         TEXT    — who saved it (map editor)
+ *   author      TEXT    — their callsign at the time
+ *   name        TEXT
+ *   mode        TEXT
+ *   data        TEXT    — the map as JSON, in the maps/*.json format
  *   ts          INTEGER
  */
 
@@ -77,14 +100,45 @@ db.exec(`
     score      INTEGER DEFAULT 0,
     deaths     INTEGER DEFAULT 0,
     duration_s INTEGER DEFAULT 0,
+    stage      INTEGER,
     ts         INTEGER NOT NULL
   );
 
   CREATE INDEX IF NOT EXISTS idx_res_uid  ON game_results(uid);
   CREATE INDEX IF NOT EXISTS idx_res_room ON game_results(room_id);
   CREATE INDEX IF NOT EXISTS idx_res_ts   ON game_results(ts);
+
+  CREATE TABLE IF NOT EXISTS replays (
+    id         TEXT    PRIMARY KEY,
+    room_id    TEXT,
+    room_name  TEXT,
+    mode       TEXT,
+    map_name   TEXT,
+    seed       INTEGER,
+    frames     INTEGER,
+    size       INTEGER,
+    duration_s INTEGER DEFAULT 0,
+    ts         INTEGER NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_replay_ts ON replays(ts);
+
+  CREATE TABLE IF NOT EXISTS user_maps (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    uid        TEXT,
+    author     TEXT,
+    name       TEXT    NOT NULL,
+    mode       TEXT    NOT NULL,
+    data       TEXT    NOT NULL,
+    ts         INTEGER NOT NULL
+  );
 `);
 
+// ── Migrations (columns added after the first release) ───
+const resultCols = db.prepare(`PRAGMA table_info(game_results)`).all().map(c => c.name);
+if (!resultCols.includes('stage'))     db.exec(`ALTER TABLE game_results ADD COLUMN stage INTEGER`);
+if (!resultCols.includes('replay_id')) db.exec(`ALTER TABLE game_results ADD COLUMN replay_id TEXT`);
+
 // ── Prepared statements ───────────────────────────────────
 const stmtLog = db.prepare(`
   INSERT INTO user_log (uid, event, username, ip, os, browser, resolution, room_id, room_name, ts)
@@ -92,8 +146,18 @@ const stmtLog = db.prepare(`
 `);
 
 const stmtResult = db.prepare(`
-  INSERT INTO game_results (uid, username, room_id, room_name, mode, result, score, deaths, duration_s, ts)
-  VALUES (@uid, @username, @room_id, @room_name, @mode, @result, @score, @deaths, @duration_s, @ts)
+  INSERT INTO game_results (uid, username, room_id, room_name, mode, result, score, deaths, duration_s, stage, replay_id, ts)
+  VALUES (@uid, @username, @room_id, @room_name, @mode, @result, @score, @deaths, @duration_s, @stage, @replay_id, @ts)
+`);
+
+const stmtReplay = db.prepare(`
+  INSERT INTO replays (id, room_id, room_name, mode, map_name, seed, frames, size, duration_s, ts)
+  VALUES (@id, @room_id, @room_name, @mode, @map_name, @seed, @frames, @size, @duration_s, @ts)
+`);
+
+const stmtUserMap = db.prepare(`
+  INSERT INTO user_maps (uid, author, name, mode, data, ts)
+  VALUES (@uid, @author, @name, @mode, @data, @ts)
 `);
 
 // ── UA parser helper ──────────────────────────────────────
@@ -152,10 +216,12 @@ function saveResult(opts) {
       room_id:    opts.roomId,
       room_name:  opts.roomName   || null,
       mode:       opts.mode       || null,
-      result:     opts.result,    // 'win' | 'loss'
+      result:     opts.result,    // 'win' | 'loss' | 'draw'
       score:      opts.score      || 0,
       deaths:     opts.deaths     || 0,
       duration_s: opts.duration_s || 0,
+      stage:      opts.stage      || null,
+      replay_id:  opts.replayId   || null,
       ts:         Date.now(),
     });
   } catch (e) {
@@ -163,6 +229,50 @@ function saveResult(opts) {
   }
 }
 
+/**
+ * Register a replay file written by replay.js.
+ */
+function saveReplay(opts) {
+  try {
+    stmtReplay.run({
+      id:         opts.id,
+      room_id:    opts.roomId,
+      room_name:  opts.roomName   || null,
+      mode:       opts.mode       || null,
+      map_name:   opts.mapName    || null,
+      seed:       opts.seed,
+      frames:     opts.frames     || 0,
+      size:       opts.size       || 0,
+      duration_s: opts.duration_s || 0,
+      ts:         Date.now(),
+    });
+  } catch (e) {
+    console.error('[db.saveReplay]', e.message);
+  }
+}
+
+function getReplays(limit = 50) {
+  return db.prepare(`SELECT * FROM replays ORDER BY ts DESC LIMIT ?`).all(limit);
+}
+
+/**
+ * Store a map from the editor; returns its id.
+ */
+function saveUserMap(opts) {
+  return stmtUserMap.run({
+    uid:    opts.uid    || null,
+    author: opts.author || null,
+    name:   opts.name,
+    mode:   opts.mode,
+    data:   opts.data,
+    ts:     Date.now(),
+  }).lastInsertRowid;
+}
+
+function getUserMaps() {
+  return db.prepare(`SELECT * FROM user_maps ORDER BY id`).all();
+}
+
 // ── Stats queries (for admin page) ────────────────────────
 function getStats() {
   return {
@@ -179,6 +289,7 @@ function getStats() {
       ORDER BY wins DESC, total_score DESC
       LIMIT 20`).all(),
     recentResults: db.prepare(`SELECT * FROM game_results ORDER BY ts DESC LIMIT 50`).all(),
+    recentReplays: getReplays(20),
   };
 }
 
@@ -193,13 +304,13 @@ function getPublicStats() {
              SUM(deaths)                                      AS total_deaths,
              MAX(score)                                       AS best_score
       FROM game_results
-      WHERE mode LIKE 'deathmatch%'
+      WHERE mode LIKE '%deathmatch%'
       GROUP BY uid
       ORDER BY wins DESC, total_score DESC
       LIMIT 15`).all(),
 
     recentGames: db.prepare(`
-      SELECT room_name, mode, ts,
+      SELECT room_name, mode, ts, MAX(replay_id) AS replay_id,
              GROUP_CONCAT(username || ':' || result || ':' || score, '|') AS players_raw
       FROM game_results
       GROUP BY room_id, ts / 10000
@@ -211,10 +322,10 @@ function getPublicStats() {
              COUNT(*)              AS total_games,
              SUM(score)            AS total_frags,
              MAX(score)            AS record_score,
-             (SELECT username FROM game_results WHERE mode LIKE 'deathmatch%' ORDER BY score DESC LIMIT 1) AS record_holder
+             (SELECT username FROM game_results WHERE mode LIKE '%deathmatch%' ORDER BY score DESC LIMIT 1) AS record_holder
       FROM game_results
-      WHERE mode LIKE 'deathmatch%'`).get(),
+      WHERE mode LIKE '%deathmatch%'`).get(),
   };
 }
 
-module.exports = { log, saveResult, getStats, getPublicStats };
\ No newline at end of file
+module.exports = { log, saveResult, saveReplay, getReplays, saveUserMap, getUserMaps, getStats, getPublicStats };
\ No newline at end of file
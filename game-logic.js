@@ -1,26 +1,99 @@
 'use strict';
 
-const { MAPS, SPAWN_POINTS, DM_SPAWN_POINTS, ENEMY_SPAWNS } = require('./maps');
+const { MAPS, SPAWN_POINTS, DM_SPAWN_POINTS, ENEMY_SPAWNS, ENEMY_ROSTER } = require('./maps');
+const { findPath, lineClear } = require('./pathfinding');
+const { createRng, randomSeed } = require('./rng');
+// Movement / tile collision is shared with the browser for client-side prediction
+const {
+  TILE_SIZE, TANK_SIZE, TANK_SPEED, TANK_PASSABLE, ICE_SLIDE_PX, BRICK_FULL,
+  brickMask, brickTile, brickQuarters, onIce, tryMove, slideTank, stepTank,
+} = require('./public/movement');
+
+// Fixed-step simulation: every step advances exactly TICK_MS of game time
+const TICK_MS           = 33;
+const MAX_CATCHUP_TICKS = 5;    // after a stall, drop the backlog beyond this many steps
 
-const TILE_SIZE     = 16;
-const TANK_SIZE     = 14;
 const BULLET_SPEED  = 5;
-const TANK_SPEED    = 1.5;
 const BULLET_SIZE   = 4;
 
+// Player input: each client message is one movement step, tagged with a sequence number.
+// Steps are paid from a movement budget that grows by one per tick and banks up to
+// MOVE_BUDGET_MAX, so a late batch catches up but a client sending faster than the
+// tick rate doesn't move faster — its extra inputs back up and the oldest are dropped.
+const MOVE_BUDGET_MAX = 3;
+const MAX_INPUT_QUEUE = 8;
+
 // Classic mode
 const MAX_ENEMIES   = 4;
-const TOTAL_ENEMIES = 20;
+const TOTAL_ENEMIES = 20;     // per stage, unless the room sets enemyCount
+const PLAYER_LIVES  = 3;
+const STAGE_INTERMISSION_MS = 3000;   // "STAGE N" screen between campaign stages
 
 // Deathmatch
 const DM_FRAG_LIMIT       = 20;
 const DM_RESPAWN_DELAY_MS = 2000;
 const DM_MAX_BOTS         = 4;
+const BOT_MAX_BULLETS     = 1;   // bullets a bot can have in flight
+
+// Team modes
+const TEAMS           = ['red', 'blue'];
+const TEAM_COLORS     = { red: '#FF5555', blue: '#5599FF' };
+const TEAM_FRAG_LIMIT = 30;
+
+// Capture the Eagle
+const CTE_ROUNDS            = 3;      // best of N
+const CTE_TEAM_SIZE         = 4;      // empty slots are filled with bots
+const ROUND_INTERMISSION_MS = 3000;
+
+const BOT_NAMES = ['ROBO-X', 'IRON-T', 'STEEL-K', 'MECH-Q', 'CYBER', 'METAL', 'DREAD', 'BLAZE'];
 
 // Enemy AI
 const ENEMY_SHOOT_INTERVAL = 2000;
 const ENEMY_MOVE_INTERVAL  = 800;
 
+// Bot / enemy difficulty (room setting)
+//   speed        — DM bot tank speed
+//   reactMs      — minimum gap between aimed shots at a target in line of sight
+//   blindMs      — interval for unaimed shots
+//   wander       — chance a DM bot roams randomly instead of following its path
+//   repathMs     — how often paths are re-planned
+//   dodge        — sidestep bullets heading straight at the tank
+//   eagleChasers — share of coop enemies that path to the eagle
+const BOT_DIFFICULTY = {
+  easy:   { speed: 0.8, reactMs: 1500, blindMs: 2500,                 wander: 0.5,  repathMs: 1200, dodge: false, eagleChasers: 0   },
+  normal: { speed: 1.0, reactMs: 900,  blindMs: ENEMY_SHOOT_INTERVAL, wander: 0.25, repathMs: 800,  dodge: false, eagleChasers: 0.5 },
+  hard:   { speed: 1.2, reactMs: 500,  blindMs: 1500,                 wander: 0.05, repathMs: 500,  dodge: true,  eagleChasers: 1   },
+};
+const DODGE_RANGE = 80;   // px — how close a bullet gets before hard bots sidestep
+
+// Classic enemy archetypes (per-map spawn order comes from map.enemyRoster)
+// maxBullets: bullets in flight at once — one each, as in the original
+const ENEMY_TYPES = {
+  basic:   { speed: 0.8, bulletSpeed: BULLET_SPEED, maxBullets: 1, hp: 1, score: 100 },
+  fast:    { speed: 1.6, bulletSpeed: BULLET_SPEED, maxBullets: 1, hp: 1, score: 200 },
+  power:   { speed: 0.8, bulletSpeed: 8,            maxBullets: 1, hp: 1, score: 300 },
+  armored: { speed: 0.8, bulletSpeed: BULLET_SPEED, maxBullets: 1, hp: 4, score: 400 },
+};
+
+// Power-ups (coop)
+const POWERUP_TYPES      = ['star', 'helmet', 'shovel', 'grenade', 'clock', 'tank'];
+const POWERUP_CARRIERS   = [3, 10, 17];   // 4th, 11th and 18th enemy of a level flash and carry a bonus
+const POWERUP_LIFETIME   = 15000;
+const POWERUP_SCORE      = 500;
+const HELMET_SHIELD_MS   = 10000;
+const SHOVEL_DURATION_MS = 20000;
+const CLOCK_FREEZE_MS    = 10000;
+
+// Player upgrade tiers, indexed by star level (0..3) as in the original:
+// 1 star = fast bullets, 2 = two bullets on screen, 3 = bullets break steel
+const PLAYER_TIERS = [
+  { bulletSpeed: BULLET_SPEED, maxBullets: 1, cooldown: 380, breaksSteel: false },
+  { bulletSpeed: 8,            maxBullets: 1, cooldown: 380, breaksSteel: false },
+  { bulletSpeed: 8,            maxBullets: 2, cooldown: 200, breaksSteel: false },
+  { bulletSpeed: 8,            maxBullets: 2, cooldown: 200, breaksSteel: true  },
+];
+const MAX_STARS = PLAYER_TIERS.length - 1;
+
 const DIR = { UP: 0, RIGHT: 1, DOWN: 2, LEFT: 3 };
 const DX  = [0, 1, 0, -1];
 const DY  = [-1, 0, 1, 0];
@@ -35,25 +108,30 @@ const PLAYER_COLORS = [
 // 'coop'            — classic, players vs AI enemies, protect eagle
 // 'deathmatch'      — players kill each other, frag limit, no AI
 // 'deathmatch_bots' — players + AI bots all kill each other
+// 'team_deathmatch' — red vs blue, team frag limit, optional friendly fire
+// 'capture_eagle'   — red vs blue, each defends its eagle; best-of-N rounds, bots fill slots
 
 class GameRoom {
-  constructor(id, mapIndex = 0) {
+  constructor(id, mapIndex = 0, settings = {}) {
     this.id       = id;
-    this.mapIndex = mapIndex;
-    const map     = MAPS[mapIndex];
-    this.mapData  = [...map.tiles];
-    this.cols     = map.cols || 26;
-    this.rows     = map.rows || 26;
-    this.mode     = map.mode || 'coop';
-    this.isDM     = this.mode === 'deathmatch' || this.mode === 'deathmatch_bots';
-    this.maxPlayers = this.isDM ? 8 : 4;
+    this.customMap = settings.customMap || null;   // generated map or editor test run: played instead of MAPS[mapIndex]
+    this.mode     = this._mapAt(mapIndex).mode || 'coop';
+    this.isTeam   = this.mode === 'team_deathmatch' || this.mode === 'capture_eagle';
+    this.isDM     = this.mode === 'deathmatch' || this.mode === 'deathmatch_bots' || this.isTeam;
+    this.maxPlayers = settings.maxPlayers || (this.isDM ? 8 : 4);
+    this._loadMap(mapIndex);
 
-    // Per-map spawn points
-    this._spawnPoints    = (map.spawnPoints    && map.spawnPoints.length)    ? map.spawnPoints    : SPAWN_POINTS;
-    this._dmSpawnPoints  = (map.dmSpawnPoints  && map.dmSpawnPoints.length)  ? map.dmSpawnPoints  : DM_SPAWN_POINTS;
-    this._enemySpawns    = (map.enemySpawns    && map.enemySpawns.length)    ? map.enemySpawns    : ENEMY_SPAWNS;
+    // Coop campaign: every built-in coop map once, starting from the room's map.
+    // User, generated and test maps are played on their own.
+    const coopMaps = MAPS.map((m, i) => i).filter(i => (MAPS[i].mode || 'coop') === 'coop' && !MAPS[i].user);
+    const first    = coopMaps.indexOf(mapIndex);
+    this.campaign  = this.mode === 'coop' && first >= 0 && !this.customMap
+      ? [...coopMaps.slice(first), ...coopMaps.slice(0, first)] : [mapIndex];
+    this.stage     = 1;
+    this.intermission = this.mode === 'coop' ? STAGE_INTERMISSION_MS : 0;
 
     this.players  = {};      // socketId -> player
+    this.freeSlots = PLAYER_COLORS.map((_, i) => i);   // player slots, handed out by _takeSlot
     this.bots     = [];      // DM bots (treated like players but AI-driven)
     this.bullets  = [];
     this.enemies  = [];      // classic mode AI tanks
@@ -63,17 +141,53 @@ class GameRoom {
     this.nextBotId    = 0;
 
     // Classic mode state
-    this.enemiesRemaining = this.mode === 'coop' ? TOTAL_ENEMIES : 0;
+    this.startLives       = settings.lives || PLAYER_LIVES;
+    this.enemyCount       = settings.enemyCount || TOTAL_ENEMIES;
+    this.enemiesSpawned   = 0;   // this stage — indexes roster, carriers and spawn points
+    this.enemiesRemaining = this.mode === 'coop' ? this.enemyCount : 0;
     this.enemiesOnField   = 0;
     this.baseDestroyed    = false;
 
+    // Power-up state (coop)
+    this.powerups      = [];
+    this.nextPowerupId = 0;
+    this.freezeTimer   = 0;   // clock: enemies frozen while > 0
+    this.shovelTimer   = 0;   // shovel: eagle ring is steel while > 0
+    this.eagleRing     = this._findEagleRing();
+
     // DM state
-    this.fragLimit = DM_FRAG_LIMIT;
+    this.fragLimit = settings.fragLimit || (this.isTeam ? TEAM_FRAG_LIMIT : DM_FRAG_LIMIT);
+    // Team deathmatch only gets bots when the room asks for them
+    this.botCount  = settings.botCount !== undefined ? settings.botCount : this.mode === 'team_deathmatch' ? 0 : DM_MAX_BOTS;
+
+    // Optional match clock (ms, 0 = none) — DM modes only
+    this.timeLimit   = (settings.timeLimit || 0) * 60000;
+    this.timeLeft    = this.isDM ? this.timeLimit : 0;
+    this.suddenDeath = false;   // clock ran out with the top score tied
+    this.drawn       = null;    // keys (team or tank id) sharing a drawn match
+
+    // Team state
+    this.teamScores   = { red: 0, blue: 0 };
+    this.friendlyFire = !!settings.friendlyFire;
+
+    this.botDifficulty = BOT_DIFFICULTY[settings.botDifficulty] ? settings.botDifficulty : 'normal';
+
+    // Capture the Eagle rounds
+    this.rounds      = settings.rounds || CTE_ROUNDS;
+    this.round       = 1;
+    this.roundWins   = { red: 0, blue: 0 };
+    this.roundWinner = null;   // set when an eagle falls, resolved in _checkGameOver
 
     this.gameOver    = false;
-    this.winner      = null;   // name string in DM, 'players'/'enemies' in coop
+    this.winner      = null;   // name string in DM, team name in team modes, 'players'/'enemies' in coop
     this.winnerId    = null;
-    this.lastUpdate  = Date.now();
+    this.lastUpdate  = Date.now();   // wall clock of the last tick() call
+    this.accumulator = 0;            // real time not yet simulated
+    this.tickCount   = 0;            // fixed steps simulated
+
+    // All AI / spawn randomness comes from the seed, so seed + inputs replay a match exactly
+    this.seed   = settings.seed !== undefined ? settings.seed >>> 0 : randomSeed();
+    this.random = createRng(this.seed);
     this.tickInterval  = null;
     this.enemySpawnTimer = 0;
 
@@ -81,6 +195,38 @@ class GameRoom {
     this.respawnQueue = [];
   }
 
+  // Map-specific state; also used to swap maps between campaign stages
+  _mapAt(mapIndex) { return this.customMap || MAPS[mapIndex]; }
+
+  _loadMap(mapIndex) {
+    const map     = this._mapAt(mapIndex);
+    this.mapIndex = mapIndex;
+    this.mapName  = map.name;
+    this.mapData  = [...map.tiles];
+    this.cols     = map.cols || 26;
+    this.rows     = map.rows || 26;
+
+    // Per-map spawn points
+    this._spawnPoints    = (map.spawnPoints    && map.spawnPoints.length)    ? map.spawnPoints    : SPAWN_POINTS;
+    this._dmSpawnPoints  = (map.dmSpawnPoints  && map.dmSpawnPoints.length)  ? map.dmSpawnPoints  : DM_SPAWN_POINTS;
+    this._enemySpawns    = (map.enemySpawns    && map.enemySpawns.length)    ? map.enemySpawns    : ENEMY_SPAWNS;
+    this._enemyRoster    = (map.enemyRoster    && map.enemyRoster.length)    ? map.enemyRoster    : ENEMY_ROSTER;
+    // Team modes: { red: [...], blue: [...] }. Without them the DM points are split,
+    // left half to red and right half to blue, so the teams never share a point.
+    const ts    = map.teamSpawnPoints || {};
+    const byX   = [...this._dmSpawnPoints].sort((a, b) => a.x - b.x || a.y - b.y);
+    const half  = Math.ceil(byX.length / 2);
+    const split = { red: byX.slice(0, half), blue: byX.length > 1 ? byX.slice(half) : byX };
+    this._teamSpawnPoints = {};
+    for (const t of TEAMS) this._teamSpawnPoints[t] = (ts[t] && ts[t].length) ? ts[t] : split[t];
+
+    // Capture the Eagle: tile index -> owning team
+    this._eagleTeam = {};
+    for (const t of TEAMS) {
+      for (const e of (map.eagles && map.eagles[t]) || []) this._eagleTeam[e.y * this.cols + e.x] = t;
+    }
+  }
+
   // ── Public helpers ──────────────────────────────────────
   getPlayerCount() { return Object.keys(this.players).length; }
 
@@ -89,45 +235,145 @@ class GameRoom {
     return pts[idx % pts.length];
   }
 
+  // Lowest free player slot — a slot picks the tank colour and the co-op spawn point
+  _takeSlot() {
+    if (!this.freeSlots.length) return this.getPlayerCount();   // more players than colours: share
+    this.freeSlots.sort((a, b) => a - b);
+    return this.freeSlots.shift();
+  }
+
   addPlayer(socketId, name) {
-    const idx   = Object.keys(this.players).length;
-    const spawn = this.getSpawnPoint(idx);
-    this.players[socketId] = {
+    const slot = this._takeSlot();
+    const team = this.isTeam ? this._smallestTeam() : null;
+    const p = {
       id:             socketId,
-      name:           name || `Player${idx + 1}`,
-      x:              spawn.x * TILE_SIZE + 1,
-      y:              spawn.y * TILE_SIZE + 1,
+      name:           name || `Player${slot + 1}`,
+      x:              0,
+      y:              0,
+      slot,
       dir:            DIR.UP,
       alive:          true,
-      lives:          this.isDM ? Infinity : 3,
+      lives:          this.isDM ? Infinity : this.startLives,
       score:          0,   // frags in DM, points in coop
       deaths:         0,
       speed:          TANK_SPEED,
       moving:         false,
-      color:          PLAYER_COLORS[idx % PLAYER_COLORS.length],
+      color:          team ? TEAM_COLORS[team] : PLAYER_COLORS[slot % PLAYER_COLORS.length],
+      team,
+      stars:          0,   // star power-ups collected, 0..MAX_STARS
+      slide:          0,   // ice: pixels left to slide in p.dir
       shield:         3000,
       bulletCooldown: 0,
       isBot:          false,
       inputs:         { up: false, down: false, left: false, right: false, shoot: false },
+      inputQueue:     [],
+      moveBudget:     0,    // movement steps this player may still take (see MOVE_BUDGET_MAX)
+      lastSeq:        0,    // last input sequence number applied
       respawnTimer:   0,
     };
-    return this.players[socketId];
+    // Joining a DM match already under way: the spawn farthest from the opposition.
+    // Otherwise the team's next point, or this slot's own point.
+    const spawn = this.isDM && this.tickCount > 0 ? this._safeSpawnPoint(p)
+                : team ? this._teamSpawn(team) : this.getSpawnPoint(slot);
+    p.x = spawn.x * TILE_SIZE + 1;
+    p.y = spawn.y * TILE_SIZE + 1;
+    this.players[socketId] = p;
+    if (this.mode === 'capture_eagle') this._fillTeamBots();
+    return p;
   }
 
-  removePlayer(socketId) { delete this.players[socketId]; }
+  removePlayer(socketId) {
+    const p = this.players[socketId];
+    if (p && p.slot < PLAYER_COLORS.length) this.freeSlots.push(p.slot);
+    delete this.players[socketId];
+    if (this.mode === 'capture_eagle') this._fillTeamBots();
+  }
+
+  // Dropped connection: the tank stays where it is, frozen and shielded,
+  // until the player reconnects (resumePlayer) or the server gives up (removePlayer)
+  suspendPlayer(socketId) {
+    const p = this.players[socketId];
+    if (!p) return;
+    p.away       = true;
+    p.moving     = false;
+    p.slide      = 0;
+    p.inputs     = { up: false, down: false, left: false, right: false, shoot: false };
+    p.inputQueue = [];
+  }
+
+  // Hand a suspended player to a new socket id and unfreeze the tank — lives, score,
+  // slot and upgrades carry over, and bullets in flight, the winner and the drawn
+  // list are re-keyed to the new id. Returns the player, or null if there is nothing to resume.
+  resumePlayer(oldId, newId) {
+    const p = this.players[oldId];
+    if (!p) return null;
+    // Rebuild in the same order: players are updated (and so move and shoot) in key order
+    this.players = Object.fromEntries(Object.entries(this.players).map(([id, q]) => [id === oldId ? newId : id, q]));
+    p.id   = newId;
+    p.away = false;
+    for (const b of this.bullets) if (b.ownerId === oldId) b.ownerId = newId;
+    if (this.winnerId === oldId) this.winnerId = newId;
+    if (this.drawn) this.drawn = this.drawn.map(k => k === oldId ? newId : k);
+    return p;
+  }
+
+  // ── Teams ───────────────────────────────────────────────
+  _teamMembers(team) {
+    return [...Object.values(this.players), ...this.bots].filter(e => e.team === team);
+  }
+
+  // New players join whichever team has fewer humans (red on a tie)
+  _smallestTeam() {
+    const humans = t => Object.values(this.players).filter(p => p.team === t).length;
+    return TEAMS.reduce((best, t) => humans(t) < humans(best) ? t : best);
+  }
+
+  // Capture the Eagle: top each team up to CTE_TEAM_SIZE tanks with bots
+  _fillTeamBots() {
+    for (const team of TEAMS) {
+      const humans = Object.values(this.players).filter(p => p.team === team).length;
+      const bots   = this.bots.filter(b => b.team === team);
+      const want   = Math.max(0, CTE_TEAM_SIZE - humans);
+      for (let i = bots.length; i < want; i++) this.bots.push(this._createBot(this._teamSpawn(team), team));
+      for (const b of bots.slice(want)) {
+        this.bots = this.bots.filter(x => x !== b);
+        this.respawnQueue = this.respawnQueue.filter(r => r.entity !== b);
+      }
+    }
+  }
+
+  _teamSpawn(team) {
+    const pts = this._teamSpawnPoints[team];
+    return pts[this._teamMembers(team).length % pts.length];
+  }
 
   handleInput(socketId, inputs) {
-    if (this.players[socketId]) this.players[socketId].inputs = inputs;
+    const p = this.players[socketId];
+    if (!p) return;
+    if (p.inputQueue.length >= MAX_INPUT_QUEUE) p.inputQueue.shift();
+    p.inputQueue.push(inputs);
+  }
+
+  // Take up to `max` queued inputs; the newest becomes the held input and its seq is acked
+  _takeInputs(p, max) {
+    const taken = p.inputQueue.splice(0, max);
+    if (taken.length) {
+      p.inputs  = taken[taken.length - 1];
+      p.lastSeq = p.inputs.seq || 0;
+    }
+    return taken;
   }
 
   // ── Lifecycle ───────────────────────────────────────────
   start() {
     if (this.mode === 'coop') {
       this.spawnEnemy();
-    } else if (this.mode === 'deathmatch_bots') {
+    } else if (this.mode === 'deathmatch_bots' || this.mode === 'team_deathmatch') {
       this._spawnBots();
+    } else if (this.mode === 'capture_eagle') {
+      this._fillTeamBots();
     }
-    this.tickInterval = setInterval(() => this.tick(), 33);
+    this.tickInterval = setInterval(() => this.tick(), TICK_MS);
   }
 
   stop() {
@@ -135,15 +381,43 @@ class GameRoom {
   }
 
   // ── Main tick ───────────────────────────────────────────
+  // Wall-clock driver: run as many fixed steps as real time has accumulated
   tick() {
     const now = Date.now();
-    const dt  = now - this.lastUpdate;
-    this.lastUpdate = now;
+    this.accumulator += now - this.lastUpdate;
+    this.lastUpdate   = now;
+    let steps = 0;
+    while (this.accumulator >= TICK_MS && steps < MAX_CATCHUP_TICKS) {
+      this.step();
+      this.accumulator -= TICK_MS;
+      steps++;
+    }
+    if (steps === MAX_CATCHUP_TICKS) this.accumulator = Math.min(this.accumulator, TICK_MS);
+  }
+
+  // One fixed step of game time — deterministic given the seed and the inputs
+  step() {
+    const dt = TICK_MS;
+    this.tickCount++;
     if (this.gameOver) return;
 
+    // Campaign "STAGE N" screen — simulation paused, inputs acknowledged but not applied
+    if (this.intermission > 0) {
+      this.intermission -= dt;
+      for (const p of Object.values(this.players)) this._takeInputs(p, Infinity);
+      return;
+    }
+
+    // Match clock (paused during intermissions)
+    if (this.timeLeft > 0) {
+      this.timeLeft -= dt;
+      if (this.timeLeft <= 0) { this.timeLeft = 0; this._timeUp(); }
+    }
+
     // Timers
     for (const p of Object.values(this.players)) {
-      if (p.shield > 0)         p.shield         -= dt;
+      if (p.away)               p.shield          = Math.max(p.shield, dt);   // frozen tanks can't be hit
+      else if (p.shield > 0)    p.shield         -= dt;
       if (p.bulletCooldown > 0) p.bulletCooldown -= dt;
     }
     for (const b of this.bots) {
@@ -166,6 +440,7 @@ class GameRoom {
         this.spawnEnemy();
         this.enemySpawnTimer = 0;
       }
+      this._updatePowerups(dt);
       this._updateClassicEnemies(dt);
     }
 
@@ -175,157 +450,251 @@ class GameRoom {
 
   // ── Player movement ─────────────────────────────────────
   _updatePlayers(dt) {
+    const blocked = (e, nx, ny) => this._collidesWithTanks(e, nx, ny);
     for (const p of Object.values(this.players)) {
-      if (!p.alive) continue;
-      const { up, down, left, right, shoot } = p.inputs;
-      let moved = false;
-      if      (up)    { p.dir = DIR.UP;    this._tryMove(p, 0, -p.speed); moved = true; }
-      else if (down)  { p.dir = DIR.DOWN;  this._tryMove(p, 0,  p.speed); moved = true; }
-      else if (left)  { p.dir = DIR.LEFT;  this._tryMove(p, -p.speed, 0); moved = true; }
-      else if (right) { p.dir = DIR.RIGHT; this._tryMove(p,  p.speed, 0); moved = true; }
-      p.moving = moved;
-      if (shoot && p.bulletCooldown <= 0) {
-        this._fireBullet(p, 'player');
-        p.bulletCooldown = 380;
+      p.moveBudget = Math.min(MOVE_BUDGET_MAX, p.moveBudget + 1);
+      const steps  = this._takeInputs(p, p.moveBudget);
+      p.moveBudget -= steps.length;
+      if (!p.alive || p.away) continue;
+      // One movement step per input, exactly as the client predicted it (ice slide included)
+      if (steps.length) p.moving = steps.map(input => stepTank(this, p, input, blocked)).pop();
+
+      // A fire tap in any input of this tick counts, not just in the last one
+      const shoot = steps.length ? steps.some(input => input.shoot) : p.inputs.shoot;
+      const tier  = PLAYER_TIERS[p.stars];
+      if (shoot && p.bulletCooldown <= 0 && this._activeBullets(p.id) < tier.maxBullets) {
+        this._fireBullet(p, 'player', tier.bulletSpeed, tier.breaksSteel);
+        p.bulletCooldown = tier.cooldown;
       }
     }
   }
 
   // ── Bot AI (DM bots) ────────────────────────────────────
+  // Team deathmatch deals each one to the team with fewer tanks
   _spawnBots() {
-    const count = DM_MAX_BOTS;
-    for (let i = 0; i < count; i++) {
-      const idx   = Object.keys(this.players).length + i;
-      const spawn = this.getSpawnPoint(idx);
-      const bot = {
-        id:             'bot_' + this.nextBotId++,
-        name:           ['ROBO-X', 'IRON-T', 'STEEL-K', 'MECH-Q', 'CYBER', 'METAL', 'DREAD', 'BLAZE'][i % 8],
-        x:              spawn.x * TILE_SIZE + 1,
-        y:              spawn.y * TILE_SIZE + 1,
-        dir:            DIR.DOWN,
-        alive:          true,
-        lives:          Infinity,
-        score:          0,
-        deaths:         0,
-        speed:          1.0,
-        moving:         false,
-        color:          '#CC2222',
-        shield:         2000,
-        bulletCooldown: 0,
-        isBot:          true,
-        moveTimer:      Math.random() * 1000,
-        shootTimer:     Math.random() * 2000,
-        targetId:       null,
-        respawnTimer:   0,
-      };
-      this.bots.push(bot);
+    const smaller = () => TEAMS.reduce((best, t) => this._teamMembers(t).length < this._teamMembers(best).length ? t : best);
+    for (let i = 0; i < this.botCount; i++) {
+      const team = this.isTeam ? smaller() : null;
+      const idx  = Object.keys(this.players).length + i;
+      this.bots.push(this._createBot(team ? this._teamSpawn(team) : this.getSpawnPoint(idx), team));
     }
   }
 
+  _createBot(spawn, team) {
+    const n = this.nextBotId++;
+    return {
+      id:             'bot_' + n,
+      name:           BOT_NAMES[n % BOT_NAMES.length],
+      x:              spawn.x * TILE_SIZE + 1,
+      y:              spawn.y * TILE_SIZE + 1,
+      dir:            DIR.DOWN,
+      alive:          true,
+      lives:          Infinity,
+      score:          0,
+      deaths:         0,
+      speed:          BOT_DIFFICULTY[this.botDifficulty].speed,
+      moving:         false,
+      color:          team ? TEAM_COLORS[team] : '#CC2222',
+      team,
+      shield:         2000,
+      bulletCooldown: 0,
+      isBot:          true,
+      slide:          0,   // ice, as for players
+      moveTimer:      this.random() * 1000,
+      shootTimer:     this.random() * 2000,
+      targetId:       null,
+      path:           null,   // A* tiles still to visit
+      respawnTimer:   0,
+    };
+  }
+
   _updateBots(dt) {
     const allTargets = [...Object.values(this.players), ...this.bots];
+    const diff       = BOT_DIFFICULTY[this.botDifficulty];
 
     for (const bot of this.bots) {
       if (!bot.alive) continue;
-      if (bot.bulletCooldown > 0) bot.bulletCooldown -= dt;
-      if (bot.shield > 0)         bot.shield         -= dt;
 
-      // Find nearest living enemy (any player or other bot)
+      // Find nearest living enemy (any player or other bot, never a teammate)
       let nearest = null, nearestDist = Infinity;
       for (const t of allTargets) {
-        if (t === bot || !t.alive) continue;
+        if (t === bot || !t.alive || (bot.team && t.team === bot.team)) continue;
         const dx = t.x - bot.x, dy = t.y - bot.y;
         const d  = Math.hypot(dx, dy);
         if (d < nearestDist) { nearestDist = d; nearest = t; }
       }
+      // Capture the Eagle: go for the enemy eagle when it is closer than any tank
+      if (bot.team) {
+        for (const e of this._eaglePositions(bot.team === 'red' ? 'blue' : 'red')) {
+          const d = Math.hypot(e.x - bot.x, e.y - bot.y);
+          if (d < nearestDist) { nearestDist = d; nearest = e; }
+        }
+      }
 
-      // Movement: steer toward nearest target, jitter to avoid getting stuck
+      // Movement: follow an A* path to the target, re-planned every repathMs
       bot.moveTimer += dt;
-      if (bot.moveTimer > ENEMY_MOVE_INTERVAL) {
+      if (bot.moveTimer > diff.repathMs) {
         bot.moveTimer = 0;
-        if (nearest) {
-          const dx = nearest.x - bot.x, dy = nearest.y - bot.y;
-          const r  = Math.random();
-          if (r < 0.6) {
-            // Chase
-            if (Math.abs(dx) > Math.abs(dy)) bot.dir = dx > 0 ? DIR.RIGHT : DIR.LEFT;
-            else                              bot.dir = dy > 0 ? DIR.DOWN  : DIR.UP;
-          } else {
-            bot.dir = Math.floor(Math.random() * 4);
-          }
+        if (nearest && this.random() >= diff.wander) {
+          bot.path = this._pathTo(bot, nearest);
         } else {
-          bot.dir = Math.floor(Math.random() * 4);
+          bot.path = null;
+          bot.dir  = Math.floor(this.random() * 4);
         }
       }
-
-      const prevX = bot.x, prevY = bot.y;
-      this._tryMove(bot, DX[bot.dir] * bot.speed, DY[bot.dir] * bot.speed);
-      if (bot.x === prevX && bot.y === prevY) bot.dir = (bot.dir + 1) % 4;
+      if (!(diff.dodge && this._dodge(bot))) this._steer(bot);
       bot.moving = true;
 
-      // Shoot toward nearest or in movement direction
+      // Aimed shot when the target is in line of sight (or a brick blocks the path),
+      // otherwise an occasional blind shot
       bot.shootTimer = (bot.shootTimer || 0) + dt;
-      if (bot.shootTimer > 1500 + Math.random() * 1000 && bot.bulletCooldown <= 0) {
+      const aim = nearest ? this._clearShot(bot, nearest) : -1;
+      const ready = (aim >= 0 || bot.facingBrick) ? bot.shootTimer > diff.reactMs : bot.shootTimer > diff.blindMs;
+      if (ready && bot.bulletCooldown <= 0 && this._activeBullets(bot.id) < BOT_MAX_BULLETS) {
         bot.shootTimer = 0;
-        // Aim at nearest target
-        if (nearest) {
-          const dx = nearest.x - bot.x, dy = nearest.y - bot.y;
-          if (Math.abs(dx) > Math.abs(dy)) bot.dir = dx > 0 ? DIR.RIGHT : DIR.LEFT;
-          else                             bot.dir = dy > 0 ? DIR.DOWN  : DIR.UP;
-        }
+        if (aim >= 0) bot.dir = aim;
         this._fireBullet(bot, 'bot');
         bot.bulletCooldown = 500;
       }
     }
   }
 
+  // Pixel positions of standing eagle tiles (one team's only, in capture the eagle)
+  _eaglePositions(team = null) {
+    const out = [];
+    for (let idx = 0; idx < this.mapData.length; idx++) {
+      if (this.mapData[idx] !== 5 || (team && this._eagleTeam[idx] !== team)) continue;
+      out.push({ x: (idx % this.cols) * TILE_SIZE + 1, y: Math.floor(idx / this.cols) * TILE_SIZE + 1 });
+    }
+    return out;
+  }
+
+  // ── AI helpers (shared by DM bots and coop enemies) ─────
+  _pathTo(e, target) {
+    const tile = t => ({
+      x: Math.floor((t.x + TANK_SIZE / 2) / TILE_SIZE),
+      y: Math.floor((t.y + TANK_SIZE / 2) / TILE_SIZE),
+    });
+    return findPath(this.mapData, this.cols, this.rows, tile(e), tile(target), TANK_PASSABLE);
+  }
+
+  // One step along e.path, or straight ahead (turning at walls) without one.
+  // Sets e.facingBrick when the next path tile is a brick the tank should shoot.
+  _steer(e) {
+    e.facingBrick = false;
+    while (e.path && e.path.length) {
+      const next = e.path[0];
+      const dx = next.x * TILE_SIZE + 1 - e.x, dy = next.y * TILE_SIZE + 1 - e.y;
+      if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) { e.path.shift(); continue; }
+      // Square up on the cross axis first so tank corners don't snag
+      const alongX = Math.abs(dy) < 0.5 || (Math.abs(dx) >= 0.5 && Math.abs(dx) < Math.abs(dy));
+      const dir = alongX ? (dx > 0 ? DIR.RIGHT : DIR.LEFT) : (dy > 0 ? DIR.DOWN : DIR.UP);
+      e.facingBrick = brickMask(this.mapData[next.y * this.cols + next.x]) > 0 &&
+                      Math.abs(alongX ? dy : dx) < 0.5;
+      const step = Math.min(e.speed, Math.abs(alongX ? dx : dy));
+      if (!this._aiMove(e, dir, step) && !e.facingBrick) e.path = null;  // another tank — re-plan later
+      return;
+    }
+    if (!this._aiMove(e, e.dir, e.speed)) e.dir = (e.dir + 1) % 4;
+  }
+
+  // Direction from `from` that hits `to` dead-on with no wall in between, or -1
+  _clearShot(from, to) {
+    const fx = from.x + TANK_SIZE / 2, fy = from.y + TANK_SIZE / 2;
+    const tx = to.x + TANK_SIZE / 2,   ty = to.y + TANK_SIZE / 2;
+    const lane = (TANK_SIZE + BULLET_SIZE) / 2;
+    const t    = v => Math.floor(v / TILE_SIZE);
+    if (Math.abs(fy - ty) < lane) {
+      return lineClear(this.mapData, this.cols, t(fx), t(fy), t(tx), t(fy)) ? (tx > fx ? DIR.RIGHT : DIR.LEFT) : -1;
+    }
+    if (Math.abs(fx - tx) < lane) {
+      return lineClear(this.mapData, this.cols, t(fx), t(fy), t(fx), t(ty)) ? (ty > fy ? DIR.DOWN : DIR.UP) : -1;
+    }
+    return -1;
+  }
+
+  // Hard difficulty: step out of the lane of a hostile bullet closing in.
+  // Bullets whose `team` equals ignoreTeam are friendly (coop enemies pass 'enemy').
+  _dodge(e, ignoreTeam = null) {
+    const cx = e.x + TANK_SIZE / 2, cy = e.y + TANK_SIZE / 2;
+    const lane = (TANK_SIZE + BULLET_SIZE) / 2;
+    const threat = this.bullets.find(b => {
+      if (b.ownerId === e.id || (e.team && b.side === e.team) || (ignoreTeam && b.team === ignoreTeam)) return false;
+      const bx = b.x + BULLET_SIZE / 2, by = b.y + BULLET_SIZE / 2;
+      if (DX[b.dir]) return Math.abs(by - cy) < lane && (cx - bx) * DX[b.dir] > 0 && Math.abs(cx - bx) < DODGE_RANGE;
+      return Math.abs(bx - cx) < lane && (cy - by) * DY[b.dir] > 0 && Math.abs(cy - by) < DODGE_RANGE;
+    });
+    if (!threat) return false;
+    const dir = e.dir;
+    for (const d of [(threat.dir + 1) % 4, (threat.dir + 3) % 4]) {
+      if (this._aiMove(e, d, e.speed)) { e.path = null; return true; }
+    }
+    e.dir = dir;
+    return false;
+  }
+
   // ── Classic enemy AI ────────────────────────────────────
   _updateClassicEnemies(dt) {
+    if (this.freezeTimer > 0) {
+      for (const e of this.enemies) { e.moving = false; this._aiCoast(e); }
+      return;
+    }
+    const diff    = BOT_DIFFICULTY[this.botDifficulty];
+    const eagles  = this._eaglePositions();
+    const targets = [...Object.values(this.players).filter(p => p.alive), ...eagles];
+
     for (const e of this.enemies) {
       if (!e.alive) continue;
       e.moveTimer = (e.moveTimer || 0) + dt;
-      if (e.moveTimer > ENEMY_MOVE_INTERVAL) {
+      if (e.chasesEagle && eagles.length) {
+        // Head for the eagle along an A* path
+        if (e.moveTimer > diff.repathMs) { e.moveTimer = 0; e.path = this._pathTo(e, eagles[0]); }
+      } else if (e.moveTimer > ENEMY_MOVE_INTERVAL) {
         e.moveTimer = 0;
-        const r = Math.random();
+        const r = this.random();
         if      (r < 0.4) e.dir = DIR.DOWN;
         else if (r < 0.6) e.dir = DIR.LEFT;
         else if (r < 0.8) e.dir = DIR.RIGHT;
         else               e.dir = DIR.UP;
       }
-      const prevX = e.x, prevY = e.y;
-      this._tryMove(e, DX[e.dir] * e.speed, DY[e.dir] * e.speed);
-      if (e.x === prevX && e.y === prevY) e.dir = (e.dir + 1) % 4;
+      if (!(diff.dodge && this._dodge(e, 'enemy'))) this._steer(e);
       e.moving = true;
+
+      // Aimed shot at a player or the eagle in line of sight, else a blind shot now and then
       e.shootTimer = (e.shootTimer || 0) + dt;
-      if (e.shootTimer > ENEMY_SHOOT_INTERVAL) {
+      let aim = -1;
+      for (const t of targets) if ((aim = this._clearShot(e, t)) >= 0) break;
+      const ready = (aim >= 0 || e.facingBrick) ? e.shootTimer > diff.reactMs : e.shootTimer > diff.blindMs;
+      if (ready && this._activeBullets(e.id) < ENEMY_TYPES[e.type].maxBullets) {
         e.shootTimer = 0;
-        this._fireBullet(e, 'enemy');
+        if (aim >= 0) e.dir = aim;
+        this._fireBullet(e, 'enemy', ENEMY_TYPES[e.type].bulletSpeed);
       }
     }
   }
 
   // ── Movement / collision ────────────────────────────────
-  _tryMove(entity, dx, dy) {
-    const nx = entity.x + dx, ny = entity.y + dy;
-    if (nx < 0 || ny < 0 || nx + TANK_SIZE > this.cols * TILE_SIZE || ny + TANK_SIZE > this.rows * TILE_SIZE) return;
-    if (!this._collidesWithTiles(nx, ny)) {
-      if (!this._collidesWithTanks(entity, nx, ny)) {
-        entity.x = nx; entity.y = ny;
-      }
-    }
+  // One AI tank step of `dist` px towards `dir`. Keeps the same ice slide state as
+  // a player's tank (stepTank), so a bot or enemy that stops on ice (_aiCoast)
+  // slides on just like one. Returns whether the tank moved.
+  _aiMove(e, dir, dist) {
+    const prevX = e.x, prevY = e.y;
+    e.dir = dir;
+    this._tryMove(e, DX[dir] * dist, DY[dir] * dist);
+    e.slide = onIce(this, e) ? ICE_SLIDE_PX : 0;
+    return e.x !== prevX || e.y !== prevY;
   }
 
-  _collidesWithTiles(x, y) {
-    const passable = new Set([0, 4]);
-    const x1 = Math.floor(x / TILE_SIZE),             y1 = Math.floor(y / TILE_SIZE);
-    const x2 = Math.floor((x + TANK_SIZE - 1) / TILE_SIZE), y2 = Math.floor((y + TANK_SIZE - 1) / TILE_SIZE);
-    for (let ty = y1; ty <= y2; ty++) for (let tx = x1; tx <= x2; tx++) {
-      if (tx < 0 || ty < 0 || tx >= this.cols || ty >= this.rows) return true;
-      if (!passable.has(this.mapData[ty * this.cols + tx])) return true;
-    }
-    return false;
+  // An AI tank not driving this tick: finish any slide, as stepTank does with no key held
+  _aiCoast(e) {
+    if (e.slide > 0) slideTank(this, e, e.dir, (t, nx, ny) => this._collidesWithTanks(t, nx, ny));
+  }
+
+  _tryMove(entity, dx, dy) {
+    tryMove(this, entity, dx, dy, (e, nx, ny) => this._collidesWithTanks(e, nx, ny));
   }
 
+
   _collidesWithTanks(entity, nx, ny) {
     const check = (other) => {
       if (other === entity || !other.alive) return false;
@@ -339,7 +708,7 @@ class GameRoom {
   }
 
   // ── Bullets ─────────────────────────────────────────────
-  _fireBullet(source, team) {
+  _fireBullet(source, team, speed = BULLET_SPEED, breaksSteel = false) {
     // team: 'player' | 'bot' | 'enemy'
     const cx  = source.x + TANK_SIZE / 2;
     const cy  = source.y + TANK_SIZE / 2;
@@ -349,18 +718,91 @@ class GameRoom {
       x:       cx - BULLET_SIZE / 2 + DX[dir] * (TANK_SIZE / 2),
       y:       cy - BULLET_SIZE / 2 + DY[dir] * (TANK_SIZE / 2),
       dir,
-      speed:   BULLET_SPEED,
+      speed,
+      breaksSteel,
       team,
+      side:    source.team || null,   // red/blue in team modes
       ownerId: source.id,
     });
   }
 
+  _activeBullets(ownerId) {
+    let n = 0;
+    for (const b of this.bullets) if (b.ownerId === ownerId) n++;
+    return n;
+  }
+
   _bulletHits(b, tank) {
     return b.x < tank.x + TANK_SIZE && b.x + BULLET_SIZE > tank.x &&
            b.y < tank.y + TANK_SIZE && b.y + BULLET_SIZE > tank.y;
   }
 
+  // Bricks break like the original: a bullet knocks out the row (flying up or
+  // down) or column (left or right) of quarters it hits — half a brick, or the
+  // last quarter of that half. A bullet that breaks steel takes the whole brick.
+  // A fast bullet fired point-blank can overlap two layers at once; only the
+  // layer facing it (the first it would have reached) breaks.
+  _hitBricks(b) {
+    const vertical = DY[b.dir] !== 0;
+    const x1 = Math.floor(b.x / TILE_SIZE), x2 = Math.floor((b.x + BULLET_SIZE - 1) / TILE_SIZE);
+    const y1 = Math.floor(b.y / TILE_SIZE), y2 = Math.floor((b.y + BULLET_SIZE - 1) / TILE_SIZE);
+    const hits = [];   // { idx, q, at } — `at`: distance along the flight of the quarter's facing edge
+    for (let ty = y1; ty <= y2; ty++) for (let tx = x1; tx <= x2; tx++) {
+      if (tx < 0 || ty < 0 || tx >= this.cols || ty >= this.rows) continue;
+      const idx  = ty * this.cols + tx;
+      const mask = brickMask(this.mapData[idx]);
+      const hitQ = mask && brickQuarters(mask, tx, ty, b.x, b.y, BULLET_SIZE);
+      for (let q = 0; q < 4; q++) {
+        if (!(hitQ & (1 << q))) continue;
+        const qx = tx * 2 + (q & 1), qy = ty * 2 + (q >> 1);   // in quarter units
+        hits.push({ idx, q, at: vertical ? qy * DY[b.dir] : qx * DX[b.dir] });
+      }
+    }
+    if (!hits.length) return false;
+
+    const front = Math.min(...hits.map(h => h.at));
+    const gone  = new Map();   // idx -> quarters knocked out
+    for (const h of hits) {
+      if (!b.breaksSteel && h.at !== front) continue;
+      const q = h.q;
+      const layer = b.breaksSteel ? BRICK_FULL : vertical ? (q < 2 ? 0b0011 : 0b1100) : (q & 1 ? 0b1010 : 0b0101);
+      gone.set(h.idx, (gone.get(h.idx) || 0) | layer);
+    }
+    for (const [idx, bits] of gone) this.mapData[idx] = brickTile(brickMask(this.mapData[idx]) & ~bits);
+    return true;
+  }
+
+  // Bullets on opposite sides cancel out; teammates' and coop allies' pass through each other
+  _bulletsOpposed(a, b) {
+    if (a.ownerId === b.ownerId) return false;
+    if (this.isTeam) return a.side !== b.side;
+    if (this.isDM)   return true;
+    return (a.team === 'enemy') !== (b.team === 'enemy');
+  }
+
+  // Opposing bullets that meet this step both vanish. Each bullet's box is
+  // swept over its move so fast head-on pairs can't skip past each other.
+  _cancelBullets() {
+    const boxes = this.bullets.map(b => {
+      const dx = DX[b.dir] * b.speed, dy = DY[b.dir] * b.speed;
+      return {
+        x1: Math.min(b.x, b.x + dx), x2: Math.max(b.x, b.x + dx) + BULLET_SIZE,
+        y1: Math.min(b.y, b.y + dy), y2: Math.max(b.y, b.y + dy) + BULLET_SIZE,
+      };
+    });
+    const gone = new Set();
+    for (let i = 0; i < this.bullets.length; i++) {
+      for (let j = i + 1; j < this.bullets.length && !gone.has(i); j++) {
+        if (gone.has(j) || !this._bulletsOpposed(this.bullets[i], this.bullets[j])) continue;
+        const a = boxes[i], c = boxes[j];
+        if (a.x1 < c.x2 && a.x2 > c.x1 && a.y1 < c.y2 && a.y2 > c.y1) { gone.add(i); gone.add(j); }
+      }
+    }
+    if (gone.size) this.bullets = this.bullets.filter((_, i) => !gone.has(i));
+  }
+
   _updateBullets() {
+    this._cancelBullets();
     for (let i = this.bullets.length - 1; i >= 0; i--) {
       const b = this.bullets[i];
       b.x += DX[b.dir] * b.speed;
@@ -372,15 +814,16 @@ class GameRoom {
         dead = true;
       }
 
-      // Tiles
+      // Tiles: bricks by the quarters under the bullet, the rest by the tile under its centre
+      if (!dead) dead = this._hitBricks(b);
       if (!dead) {
         const tx = Math.floor((b.x + BULLET_SIZE / 2) / TILE_SIZE);
         const ty = Math.floor((b.y + BULLET_SIZE / 2) / TILE_SIZE);
         if (tx >= 0 && ty >= 0 && tx < this.cols && ty < this.rows) {
           const idx  = ty * this.cols + tx;
           const tile = this.mapData[idx];
-          if (tile === 1) { this.mapData[idx] = 0; dead = true; }
-          else if (tile === 2) { dead = true; }
+          if (tile === 2) { if (b.breaksSteel) this.mapData[idx] = 0; dead = true; }
+          // water (3), bush (4) and ice (6): bullets fly over
           else if (tile === 5 && this.mode === 'coop') {
             this.mapData[idx] = 0;
             this.baseDestroyed = true;
@@ -388,6 +831,15 @@ class GameRoom {
             this.winner   = 'enemies';
             dead = true;
           }
+          else if (tile === 5 && this.mode === 'capture_eagle') {
+            // Own eagle just stops the bullet; the other team's eagle falls
+            const owner = this._eagleTeam[idx];
+            if (b.side && owner && b.side !== owner && !this.roundWinner) {
+              this.mapData[idx] = 0;
+              this.roundWinner  = b.side;
+            }
+            dead = true;
+          }
         }
       }
 
@@ -410,7 +862,7 @@ class GameRoom {
       for (const p of Object.values(this.players)) {
         if (!p.alive || p.shield > 0) continue;
         if (this._bulletHits(b, p)) {
-          this._hitPlayer(p, null);
+          this._hitPlayer(p);
           return true;
         }
       }
@@ -420,10 +872,13 @@ class GameRoom {
         const e = this.enemies[j];
         if (!e.alive) continue;
         if (this._bulletHits(b, e)) {
+          // Carriers drop their bonus on the first hit, even armored ones
+          if (e.bonus) { e.bonus = false; this._dropPowerup(); }
+          if (--e.hp > 0) return true;
           e.alive = false;
           this.enemies.splice(j, 1);
           this.enemiesOnField--;
-          if (this.players[b.ownerId]) this.players[b.ownerId].score += 100;
+          if (this.players[b.ownerId]) this.players[b.ownerId].score += ENEMY_TYPES[e.type].score;
           return true;
         }
       }
@@ -432,13 +887,14 @@ class GameRoom {
   }
 
   // Deathmatch: any bullet can hit any living tank except same owner
+  // Team modes: teammates are skipped unless friendly fire is on
   _resolveDMHit(b) {
     const allTargets = [...Object.values(this.players), ...this.bots];
+    const killer     = this.players[b.ownerId] || this.bots.find(bt => bt.id === b.ownerId);
     for (const t of allTargets) {
       if (!t.alive || t.id === b.ownerId || t.shield > 0) continue;
+      if (this.isTeam && !this.friendlyFire && killer && killer.team === t.team) continue;
       if (this._bulletHits(b, t)) {
-        // Find killer
-        const killer = this.players[b.ownerId] || this.bots.find(bt => bt.id === b.ownerId);
         this._dmKill(t, killer);
         return true;
       }
@@ -449,7 +905,13 @@ class GameRoom {
   _dmKill(victim, killer) {
     victim.alive  = false;
     victim.deaths = (victim.deaths || 0) + 1;
-    if (killer) killer.score++;  // frag
+    if (victim.stars) victim.stars--;  // dying costs one upgrade level
+    if (killer && this.isTeam && killer.team === victim.team) {
+      killer.score--;  // team kill
+    } else if (killer) {
+      killer.score++;  // frag
+      if (this.isTeam) this.teamScores[killer.team]++;
+    }
     // Queue respawn
     this.respawnQueue.push({ entity: victim, timer: DM_RESPAWN_DELAY_MS });
   }
@@ -465,39 +927,138 @@ class GameRoom {
   }
 
   _dmRespawn(entity) {
-    const pts = this._dmSpawnPoints;
-    let best  = pts[Math.floor(Math.random() * pts.length)];
+    const best = this._safeSpawnPoint(entity);
+    entity.x      = best.x * TILE_SIZE + 1;
+    entity.y      = best.y * TILE_SIZE + 1;
+    entity.alive  = true;
+    entity.shield = 2000;
+  }
+
+  // DM spawn point farthest from every living opponent of `entity`.
+  // Team modes use the team's own points, away from the other team.
+  // Points with any living tank on them (teammates too) are skipped while a free one is left.
+  _safeSpawnPoint(entity) {
+    const all  = entity.team ? this._teamSpawnPoints[entity.team] : this._dmSpawnPoints;
+    const free = all.filter(pt => !this._collidesWithTanks(entity, pt.x * TILE_SIZE + 1, pt.y * TILE_SIZE + 1));
+    const pts  = free.length ? free : all;
+    let best   = pts[Math.floor(this.random() * pts.length)];
     let maxMinDist = -1;
-    const living = [...Object.values(this.players), ...this.bots].filter(e => e.alive && e !== entity);
+    const living = [...Object.values(this.players), ...this.bots]
+      .filter(e => e.alive && e !== entity && (!entity.team || e.team !== entity.team));
     for (const pt of pts) {
       const px = pt.x * TILE_SIZE, py = pt.y * TILE_SIZE;
       const minDist = living.reduce((m, e) => Math.min(m, Math.hypot(e.x - px, e.y - py)), Infinity);
       if (minDist > maxMinDist) { maxMinDist = minDist; best = pt; }
     }
-    entity.x      = best.x * TILE_SIZE + 1;
-    entity.y      = best.y * TILE_SIZE + 1;
-    entity.alive  = true;
-    entity.shield = 2000;
+    return best;
   }
 
   // Coop: player hit
-  _hitPlayer(p, killer) {
+  _hitPlayer(p) {
     p.lives--;
+    if (p.stars) p.stars--;  // dying costs one upgrade level
     if (p.lives <= 0) {
       p.alive = false;
     } else {
-      const idx   = Object.keys(this.players).indexOf(p.id);
-      const spawn = SPAWN_POINTS[idx % SPAWN_POINTS.length];
+      const spawn = this.getSpawnPoint(p.slot);
       p.x = spawn.x * TILE_SIZE + 1;
       p.y = spawn.y * TILE_SIZE + 1;
       p.shield = 2000;
     }
   }
 
+  // ── Power-ups (coop) ────────────────────────────────────
+  _updatePowerups(dt) {
+    if (this.freezeTimer > 0) this.freezeTimer -= dt;
+    if (this.shovelTimer > 0) {
+      this.shovelTimer -= dt;
+      if (this.shovelTimer <= 0) this._setEagleRing(1);
+    }
+
+    for (let i = this.powerups.length - 1; i >= 0; i--) {
+      const pu = this.powerups[i];
+      pu.ttl -= dt;
+      const taker = Object.values(this.players).find(p => p.alive && !p.away &&
+        p.x < pu.x + TILE_SIZE && p.x + TANK_SIZE > pu.x &&
+        p.y < pu.y + TILE_SIZE && p.y + TANK_SIZE > pu.y);
+      if (taker) this._applyPowerup(taker, pu.type);
+      if (taker || pu.ttl <= 0) this.powerups.splice(i, 1);
+    }
+  }
+
+  // Drop a random bonus on a random open tile (only one on the field at a time)
+  _dropPowerup() {
+    let tx = 0, ty = 0;
+    for (let tries = 0; tries < 50; tries++) {
+      tx = Math.floor(this.random() * (this.cols - 1));
+      ty = Math.floor(this.random() * (this.rows - 1));
+      const t = this.mapData[ty * this.cols + tx];
+      if (t === 0 || t === 4) break;
+    }
+    this.powerups = [{
+      id:   this.nextPowerupId++,
+      type: POWERUP_TYPES[Math.floor(this.random() * POWERUP_TYPES.length)],
+      x:    tx * TILE_SIZE,
+      y:    ty * TILE_SIZE,
+      ttl:  POWERUP_LIFETIME,
+    }];
+  }
+
+  _applyPowerup(p, type) {
+    p.score += POWERUP_SCORE;
+    switch (type) {
+      case 'star':    p.stars = Math.min(MAX_STARS, p.stars + 1); break;
+      case 'helmet':  p.shield = Math.max(p.shield, HELMET_SHIELD_MS); break;
+      case 'tank':    p.lives++; break;
+      case 'clock':   this.freezeTimer = CLOCK_FREEZE_MS; break;
+      case 'shovel':
+        this.shovelTimer = SHOVEL_DURATION_MS;
+        this._setEagleRing(2);
+        break;
+      case 'grenade':
+        // No points for grenade kills, as in the original
+        for (const e of this.enemies) e.alive = false;
+        this.enemies = [];
+        this.enemiesOnField = 0;
+        break;
+    }
+  }
+
+  // Tiles around every eagle tile — the wall the shovel turns to steel
+  _findEagleRing() {
+    const ring = new Set();
+    for (let i = 0; i < this.mapData.length; i++) {
+      if (this.mapData[i] !== 5) continue;
+      const ex = i % this.cols, ey = Math.floor(i / this.cols);
+      for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) {
+        const tx = ex + dx, ty = ey + dy;
+        if (tx < 0 || ty < 0 || tx >= this.cols || ty >= this.rows) continue;
+        if (this.mapData[ty * this.cols + tx] !== 5) ring.add(ty * this.cols + tx);
+      }
+    }
+    return [...ring];
+  }
+
+  _setEagleRing(tile) {
+    const tanks = [...Object.values(this.players), ...this.bots, ...this.enemies].filter(t => t.alive);
+    for (const idx of this.eagleRing) {
+      const x = (idx % this.cols) * TILE_SIZE, y = Math.floor(idx / this.cols) * TILE_SIZE;
+      // Never wall a tank in
+      const occupied = tanks.some(t => t.x < x + TILE_SIZE && t.x + TANK_SIZE > x &&
+                                       t.y < y + TILE_SIZE && t.y + TANK_SIZE > y);
+      if (!occupied) this.mapData[idx] = tile;
+    }
+  }
+
   // ── Classic enemy spawning ──────────────────────────────
   spawnEnemy() {
     if (this.enemiesRemaining <= 0) return;
-    const spawnPt = this._enemySpawns[this.nextEnemyId % this._enemySpawns.length];
+    const n       = this.enemiesSpawned++;
+    const spawnPt = this._enemySpawns[n % this._enemySpawns.length];
+    const type    = this._enemyRoster[n % this._enemyRoster.length];
+    const bonus   = POWERUP_CARRIERS.includes(n);
+    // A new carrier clears any bonus still lying on the field
+    if (bonus) this.powerups = [];
     this.enemies.push({
       id:          'e' + this.nextEnemyId++,
       x:           spawnPt.x * TILE_SIZE + 1,
@@ -505,9 +1066,15 @@ class GameRoom {
       dir:         DIR.DOWN,
       alive:       true,
       isEnemy:     true,
-      speed:       0.8,
+      type,
+      hp:          ENEMY_TYPES[type].hp,
+      bonus,
+      speed:       ENEMY_TYPES[type].speed,
+      chasesEagle: this.random() < BOT_DIFFICULTY[this.botDifficulty].eagleChasers,
+      path:        null,
+      slide:       0,
       moveTimer:   0,
-      shootTimer:  Math.random() * 2000,
+      shootTimer:  this.random() * 2000,
       moving:      false,
     });
     this.enemiesOnField++;
@@ -518,37 +1085,140 @@ class GameRoom {
   _checkGameOver() {
     if (this.gameOver) return;
 
-    if (this.isDM) {
-      // First player or bot to reach frag limit
-      const allCombatants = [...Object.values(this.players), ...this.bots];
-      for (const c of allCombatants) {
-        if (c.score >= this.fragLimit) {
-          this.gameOver = true;
-          this.winner   = c.name;
-          this.winnerId = c.id;
-          return;
-        }
+    if (this.mode === 'capture_eagle') {
+      // Rounds end only when an eagle falls; first to win a majority takes the match
+      const t = this.roundWinner;
+      if (!t) return;
+      this.roundWinner = null;
+      this.roundWins[t]++;
+      if (this.suddenDeath || this.roundWins[t] >= Math.ceil(this.rounds / 2)) {
+        this.gameOver = true;
+        this.winner   = t;
+      } else {
+        this._nextRound();
+      }
+    } else if (this.isDM) {
+      const standings = this._standings();
+      if (this.suddenDeath) {
+        // Overtime: the first frag that breaks the tie at the top wins
+        if (this._leaders(standings).length === 1) this._decide(standings);
+        return;
       }
+      // First team / player / bot to reach the frag limit (several at once is a draw)
+      const reached = standings.filter(s => s.score >= this.fragLimit);
+      if (reached.length) this._decide(reached);
     } else {
       // Coop: all players dead
       const alive = Object.values(this.players).filter(p => p.lives > 0);
       if (alive.length === 0 && Object.keys(this.players).length > 0) {
         this.gameOver = true; this.winner = 'enemies'; return;
       }
-      // All enemies defeated
+      // All enemies defeated: next campaign stage, or the run is won
       if (this.enemiesRemaining <= 0 && this.enemies.length === 0) {
-        this.gameOver = true; this.winner = 'players';
+        if (this.stage < this.campaign.length) this._nextStage();
+        else { this.gameOver = true; this.winner = 'players'; }
       }
     }
   }
 
+  // What a DM match is decided on: teams (round wins in capture the eagle), or every tank
+  _standings() {
+    if (this.isTeam) {
+      const pts = this.mode === 'capture_eagle' ? this.roundWins : this.teamScores;
+      return TEAMS.map(t => ({ key: t, name: t, id: null, score: pts[t] }));
+    }
+    return [...Object.values(this.players), ...this.bots]
+      .map(c => ({ key: c.id, name: c.name, id: c.id, score: c.score }));
+  }
+
+  _leaders(standings) {
+    const top = Math.max(...standings.map(s => s.score));
+    return standings.filter(s => s.score === top);
+  }
+
+  // End the match on the top of `standings`; a shared top score is a draw
+  _decide(standings) {
+    const best = this._leaders(standings);
+    this.gameOver = true;
+    if (best.length === 1) {
+      this.winner   = best[0].name;
+      this.winnerId = best[0].id;
+    } else {
+      this.winner = 'draw';
+      this.drawn  = best.map(s => s.key);
+    }
+  }
+
+  // Clock ran out: highest score wins, a tie at the top goes to sudden death
+  _timeUp() {
+    const standings = this._standings();
+    if (this._leaders(standings).length === 1) this._decide(standings);
+    else this.suddenDeath = true;
+  }
+
+  // Capture the Eagle: rebuild the map (and both eagles) and line teams up again
+  _nextRound() {
+    this.round++;
+    this._loadMap(this.mapIndex);
+    this.bullets      = [];
+    this.respawnQueue = [];
+    for (const team of TEAMS) {
+      const pts = this._teamSpawnPoints[team];
+      this._teamMembers(team).forEach((e, i) => {
+        const spawn = pts[i % pts.length];
+        e.x      = spawn.x * TILE_SIZE + 1;
+        e.y      = spawn.y * TILE_SIZE + 1;
+        e.alive  = true;
+        e.moving = false;
+        e.slide  = 0;
+        e.shield = 2000;
+        if (e.inputs) e.inputs = { up: false, down: false, left: false, right: false, shoot: false };
+      });
+    }
+    this.intermission = ROUND_INTERMISSION_MS;
+  }
+
+  // Coop campaign: load the next map in place, players keep lives, score and stars
+  _nextStage() {
+    this.stage++;
+    this._loadMap(this.campaign[this.stage - 1]);
+
+    this.bullets  = [];
+    this.enemies  = [];
+    this.powerups = [];
+    this.enemiesSpawned   = 0;
+    this.enemiesRemaining = this.enemyCount;
+    this.enemiesOnField   = 0;
+    this.enemySpawnTimer  = 0;
+    this.freezeTimer      = 0;
+    this.shovelTimer      = 0;
+    this.eagleRing        = this._findEagleRing();
+
+    Object.values(this.players).forEach(p => {
+      const spawn = this.getSpawnPoint(p.slot);
+      p.x      = spawn.x * TILE_SIZE + 1;
+      p.y      = spawn.y * TILE_SIZE + 1;
+      p.dir    = DIR.UP;
+      p.moving = false;
+      p.inputs = { up: false, down: false, left: false, right: false, shoot: false };
+      if (p.alive) p.shield = 3000;
+    });
+
+    this.intermission = STAGE_INTERMISSION_MS;
+    this.spawnEnemy();
+  }
+
   // ── State snapshot ──────────────────────────────────────
+  // Returns a snapshot that later ticks never mutate — the server keeps old ones as delta baselines
   getState() {
     return {
+      tick:     this.tickCount,
+      time:     this.lastUpdate - this.accumulator,   // wall clock of the last simulated step
       mode:     this.mode,
+      mapName:  this.mapName,
       cols:     this.cols,
       rows:     this.rows,
-      mapData:  this.mapData,
+      mapData:  this.mapData.slice(),   // broken bricks as BRICK_PART + quarter mask (public/movement.js)
       players:  Object.values(this.players).map(p => ({
         id:     p.id,
         name:   p.name,
@@ -560,8 +1230,14 @@ class GameRoom {
         score:  p.score,
         deaths: p.deaths || 0,
         color:  p.color,
+        team:   p.team,
+        stars:  p.stars,
         shield: p.shield > 0,
         moving: p.moving,
+        speed:  p.speed,
+        slide:  p.slide,
+        seq:    p.lastSeq,   // last input applied — client replays the rest
+        away:   !!p.away,    // connection dropped, waiting for the player to come back
         isBot:  false,
       })),
       bots: this.bots.map(b => ({
@@ -575,12 +1251,17 @@ class GameRoom {
         score:  b.score,
         deaths: b.deaths || 0,
         color:  b.color,
+        team:   b.team || null,
         shield: b.shield > 0,
         moving: b.moving,
         isBot:  true,
       })),
       enemies: this.enemies.map(e => ({
-        id: e.id, x: e.x, y: e.y, dir: e.dir, alive: e.alive, moving: e.moving,
+        id: e.id, x: e.x, y: e.y, dir: e.dir, alive: e.alive, moving: e.moving, bonus: e.bonus,
+        type: e.type, hp: e.hp,
+      })),
+      powerups: this.powerups.map(pu => ({
+        id: pu.id, type: pu.type, x: pu.x, y: pu.y, ttl: Math.max(0, pu.ttl),
       })),
       bullets: this.bullets.map(b => ({
         id: b.id, x: b.x, y: b.y, dir: b.dir,
@@ -593,6 +1274,21 @@ class GameRoom {
       enemiesRemaining: this.enemiesRemaining,
       enemiesOnField:   this.enemiesOnField,
       fragLimit:        this.fragLimit,
+      timeLimit:        this.timeLimit,
+      timeLeft:         Math.max(0, this.timeLeft),
+      suddenDeath:      this.suddenDeath,
+      drawn:            this.drawn,
+      teamScores:       this.isTeam ? { ...this.teamScores } : null,
+      friendlyFire:     this.friendlyFire,
+      botDifficulty:    this.botDifficulty,
+      freezeTimer:      Math.max(0, this.freezeTimer),
+      shovelTimer:      Math.max(0, this.shovelTimer),
+      stage:            this.stage,
+      totalStages:      this.campaign.length,
+      intermission:     Math.max(0, this.intermission),
+      round:            this.round,
+      rounds:           this.rounds,
+      roundWins:        this.mode === 'capture_eagle' ? { ...this.roundWins } : null,
     };
   }
 }
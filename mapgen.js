@@ -0,0 +1,138 @@
+'use strict';
+// Procedural maps. The same seed and size always give the same map, and the
+// seed is part of the map name, so a good random map can be played again.
+// Output is in the maps/*.json format — run it through maps.js buildMap.
+//
+// Layout: a steel border around 2×2-tile blocks (the classic Battle City grain)
+// with bush patches, mirrored left/right — and top/bottom too in deathmatch
+// modes, so no spawn is better than another. Coop puts the eagle at the bottom
+// centre inside a brick ring, players either side of it and enemies on top.
+
+const { createRng } = require('./rng');
+const { reachable } = require('./maps');
+
+const GEN_MODES    = ['coop', 'deathmatch', 'deathmatch_bots', 'team_deathmatch'];
+const MIN_GEN_SIZE = 16, MAX_GEN_SIZE = 64;   // coop needs room for 4 spawns beside the eagle ring
+const MAX_TRIES    = 20;                      // layouts to try before giving up on steel and water
+
+// Block mix as [tile, weight] — 0=empty 1=brick 2=steel 3=water 4=bush
+const BLOCK_WEIGHTS = [[0, 52], [1, 28], [2, 7], [3, 5], [4, 8]];
+const TILE_CHARS    = '.123456';
+
+function pickTile(random) {
+  let r = random() * BLOCK_WEIGHTS.reduce((s, [, w]) => s + w, 0);
+  for (const [tile, w] of BLOCK_WEIGHTS) if ((r -= w) < 0) return tile;
+  return 0;
+}
+
+// Sizes are even so the two halves mirror exactly
+function evenSize(n) {
+  return Math.max(MIN_GEN_SIZE, Math.min(MAX_GEN_SIZE, Math.floor(n / 2) * 2));
+}
+
+// Random blocks and bushes over the top-left source area, then mirrored
+function fillTiles(random, cols, rows, mirrorY) {
+  const grid  = new Array(cols * rows).fill(0);
+  const halfX = cols / 2, halfY = mirrorY ? rows / 2 : rows;
+
+  for (let by = 1; by < halfY; by += 2) {
+    for (let bx = 1; bx < halfX; bx += 2) {
+      const t = pickTile(random);
+      for (let y = by; y < Math.min(by + 2, halfY); y++)
+        for (let x = bx; x < Math.min(bx + 2, halfX); x++) grid[y * cols + x] = t;
+    }
+  }
+
+  // Bush patches: small diamonds over open ground
+  const patches = Math.round(halfX * halfY / 60);
+  for (let i = 0; i < patches; i++) {
+    const cx = 1 + Math.floor(random() * (halfX - 1)), cy = 1 + Math.floor(random() * (halfY - 1));
+    const r  = 1 + Math.floor(random() * 2);
+    for (let y = cy - r; y <= cy + r; y++) {
+      for (let x = cx - r; x <= cx + r; x++) {
+        if (x < 1 || y < 1 || x >= halfX || y >= halfY || Math.abs(x - cx) + Math.abs(y - cy) > r) continue;
+        if (grid[y * cols + x] === 0) grid[y * cols + x] = 4;
+      }
+    }
+  }
+
+  for (let y = 0; y < halfY; y++)
+    for (let x = halfX; x < cols; x++) grid[y * cols + x] = grid[y * cols + cols - 1 - x];
+  for (let y = halfY; y < rows; y++)
+    for (let x = 0; x < cols; x++) grid[y * cols + x] = grid[(rows - 1 - y) * cols + x];
+
+  for (let x = 0; x < cols; x++) grid[x] = grid[(rows - 1) * cols + x] = 2;
+  for (let y = 0; y < rows; y++) grid[y * cols] = grid[y * cols + cols - 1] = 2;
+  return grid;
+}
+
+// Spawn points (and the coop eagle), clearing the ground around each spawn —
+// and around its mirror image, so a spawn off the centre line keeps the map symmetric
+function placeSpawns(grid, cols, rows, mode) {
+  const set = (x, y, t) => { if (x > 0 && y > 0 && x < cols - 1 && y < rows - 1) grid[y * cols + x] = t; };
+  const mirrorY = mode !== 'coop';
+  const clearAround = p => {
+    for (let y = p.y - 1; y <= p.y + 1; y++) for (let x = p.x - 1; x <= p.x + 1; x++) {
+      set(x, y, 0);
+      set(cols - 1 - x, y, 0);
+      if (mirrorY) { set(x, rows - 1 - y, 0); set(cols - 1 - x, rows - 1 - y, 0); }
+    }
+  };
+  const cx = cols / 2 - 1, cy = rows / 2 - 1;   // left/top of the two centre tiles
+
+  if (mode !== 'coop') {
+    const dmSpawnPoints = [
+      { x: 1, y: 1 },  { x: cols - 2, y: 1 },  { x: 1, y: rows - 2 },  { x: cols - 2, y: rows - 2 },
+      { x: cx, y: 1 }, { x: 1, y: cy },        { x: cols - 2, y: cy }, { x: cx, y: rows - 2 },
+    ];
+    dmSpawnPoints.forEach(clearAround);
+    return { dmSpawnPoints };
+  }
+
+  // Eagle: the two centre tiles of the bottom row, ringed by bricks
+  const ey = rows - 2;
+  const spawnPoints = [
+    { x: cx - 3, y: ey }, { x: cx + 4, y: ey }, { x: cx - 5, y: ey }, { x: cx + 6, y: ey },
+  ];
+  const enemySpawns = [{ x: 1, y: 1 }, { x: cx, y: 1 }, { x: cols - 2, y: 1 }];
+  [...spawnPoints, ...enemySpawns].forEach(clearAround);
+  for (let x = cx - 2; x <= cx + 3; x++) for (let y = ey - 2; y <= ey; y++) set(x, y, 0);
+  for (let x = cx - 1; x <= cx + 2; x++) set(x, ey - 1, 1);
+  set(cx - 1, ey, 1); set(cx + 2, ey, 1);
+  set(cx, ey, 5);     set(cx + 1, ey, 5);
+  return { spawnPoints, enemySpawns, eagle: [{ x: cx, y: ey }, { x: cx + 1, y: ey }] };
+}
+
+// Every spawn and the eagle reachable from the first spawn (bricks can be shot away)
+function connected(grid, cols, rows, points) {
+  const seen = reachable(grid, cols, rows, points[0]);
+  return points.every(p => seen.has(p.y * cols + p.x));
+}
+
+// { seed, mode, cols, rows } -> map in the maps/*.json format, plus its seed
+function generateMap({ seed, mode = 'deathmatch', cols = 26, rows = 26 }) {
+  seed   = seed >>> 0;
+  cols   = evenSize(cols);
+  rows   = evenSize(rows);
+  const random = createRng(seed);
+
+  let grid, spawns;
+  for (let i = 0; i < MAX_TRIES; i++) {
+    grid   = fillTiles(random, cols, rows, mode !== 'coop');
+    spawns = placeSpawns(grid, cols, rows, mode);
+    const { eagle = [], ...lists } = spawns;
+    if (connected(grid, cols, rows, [...Object.values(lists).flat(), ...eagle])) break;
+    if (i === MAX_TRIES - 1) {
+      // Still walled in: turn inner steel and water into bricks, which can always be shot through
+      for (let y = 1; y < rows - 1; y++)
+        for (let x = 1; x < cols - 1; x++) if (grid[y * cols + x] === 2 || grid[y * cols + x] === 3) grid[y * cols + x] = 1;
+    }
+  }
+
+  const { eagle, ...lists } = spawns;
+  const tiles = [];
+  for (let y = 0; y < rows; y++) tiles.push(grid.slice(y * cols, (y + 1) * cols).map(t => TILE_CHARS[t]).join(''));
+  return { name: `RANDOM ${mode === 'coop' ? 'FORT' : 'ARENA'} #${seed}`, mode, cols, rows, tiles, ...lists, seed };
+}
+
+module.exports = { generateMap, GEN_MODES, MIN_GEN_SIZE, MAX_GEN_SIZE };
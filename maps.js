@@ -1,215 +1,206 @@
 'use strict';
-// Tile types: 0=empty 1=brick 2=steel 3=water 4=bush 5=eagle
-
-const MAPS = [
-  // ── 0: Classic (26×26) ───────────────────────────────────
-  {
-    name: 'Classic',
-    mode: 'coop',
-    cols: 26, rows: 26,
-    tiles: buildMap(26, 26, [
-      "..........1111111111..........",
-      "..........1111111111..........",
-      "1111..1111....11....1111..1111",
-      "1111..1111....11....1111..1111",
-      "1111..1111..........1111..1111",
-      "1111..1111..........1111..1111",
-      "1111..........22..........1111",
-      "1111..........22..........1111",
-      "1111..1111..........1111..1111",
-      "1111..1111..........1111..1111",
-      "..11..1111..1111....1111..11..",
-      "..11..1111..1111....1111..11..",
-      "................11............",
-      "................11............",
-      "..11..11....11111111....11..11",
-      "..11..11....11111111....11..11",
-      "1111........11....11........11",
-      "1111........11....11........11",
-      "1111..1111..........1111..1111",
-      "1111..1111..........1111..1111",
-      "..11..1111..1111....1111..11..",
-      "..11..1111..1111....1111..11..",
-      "..........1111..1111..........",
-      "..........1111..1111..........",
-      "............1..1..............",
-      "............1551..............",
-    ]),
-    spawnPoints: [
-      {x:0,y:24},{x:24,y:24},{x:0,y:0},{x:24,y:0},
-    ],
-    enemySpawns: [{x:0,y:0},{x:12,y:0},{x:24,y:0}],
-    dmSpawnPoints: [],
-  },
-
-  // ── 1: Fortress (26×26) ──────────────────────────────────
-  {
-    name: 'Fortress',
-    mode: 'coop',
-    cols: 26, rows: 26,
-    tiles: buildMap(26, 26, [
-      "..........................",
-      "..........................",
-      "..2222..........2222......",
-      "..2222..........2222......",
-      "..22..1111..1111..22......",
-      "..22..1111..1111..22......",
-      "......11........11........",
-      "......11........11........",
-      "..22..11..2222..11..22....",
-      "..22..11..2222..11..22....",
-      "......11........11........",
-      "......11........11........",
-      "..1111..1111..1111..1111..",
-      "..1111..1111..1111..1111..",
-      "....................22....",
-      "....................22....",
-      "..11..11......11..11......",
-      "..11..11......11..11......",
-      "..11..1111..1111..11......",
-      "..11..1111..1111..11......",
-      "..11..............11......",
-      "..11..............11......",
-      "..1111111111..1111111111..",
-      "..1111111111..1111111111..",
-      "............1..1..........",
-      "............1551..........",
-    ]),
-    spawnPoints: [
-      {x:0,y:24},{x:24,y:24},{x:0,y:0},{x:24,y:0},
-    ],
-    enemySpawns: [{x:0,y:0},{x:12,y:0},{x:24,y:0}],
-    dmSpawnPoints: [],
-  },
-
-  // ── 2: Deathmatch Arena (26×26) ──────────────────────────
-  {
-    name: 'Deathmatch Arena',
-    mode: 'deathmatch',
-    cols: 26, rows: 26,
-    tiles: buildMap(26, 26, [
-      "22222222222222222222222222",
-      "2........................2",
-      "2..1111..........1111....2",
-      "2..1111..........1111....2",
-      "2.......22...22..........2",
-      "2..11...22...22...11.....2",
-      "2..11............11......2",
-      "2....11111111111.........2",
-      "2........................2",
-      "2..11....22....22....11..2",
-      "2..11....22....22....11..2",
-      "2........................2",
-      "2...2222.........2222....2",
-      "2........................2",
-      "2...11..11111.11111..11..2",
-      "2...11...............11..2",
-      "2........................2",
-      "2...2222.........2222....2",
-      "2........................2",
-      "2..11....22....22....11..2",
-      "2..11....22....22....11..2",
-      "2........................2",
-      "2..1111..........1111....2",
-      "2..1111..........1111....2",
-      "2........................2",
-      "22222222222222222222222222",
-    ]),
-    spawnPoints: [],
-    enemySpawns: [],
-    dmSpawnPoints: [
-      {x:1,y:1},{x:24,y:1},{x:1,y:24},{x:24,y:24},
-      {x:12,y:1},{x:1,y:12},{x:24,y:12},{x:12,y:24},
-    ],
-  },
-
-  // ── 3: DM with Bots (26×26) ──────────────────────────────
-  {
-    name: 'DM with Bots',
-    mode: 'deathmatch_bots',
-    cols: 26, rows: 26,
-    tiles: buildMap(26, 26, [
-      "22222222222222222222222222",
-      "2........................2",
-      "2..1111..........1111....2",
-      "2..1111..........1111....2",
-      "2.......22...22..........2",
-      "2..11...22...22...11.....2",
-      "2..11............11......2",
-      "2....11111111111.........2",
-      "2........................2",
-      "2..11....22....22....11..2",
-      "2..11....22....22....11..2",
-      "2........................2",
-      "2...2222.........2222....2",
-      "2........................2",
-      "2...11..11111.11111..11..2",
-      "2...11...............11..2",
-      "2........................2",
-      "2...2222.........2222....2",
-      "2........................2",
-      "2..11....22....22....11..2",
-      "2..11....22....22....11..2",
-      "2........................2",
-      "2..1111..........1111....2",
-      "2..1111..........1111....2",
-      "2........................2",
-      "22222222222222222222222222",
-    ]),
-    spawnPoints: [],
-    enemySpawns: [],
-    dmSpawnPoints: [
-      {x:1,y:1},{x:24,y:1},{x:1,y:24},{x:24,y:24},
-      {x:12,y:1},{x:1,y:12},{x:24,y:12},{x:12,y:24},
-    ],
-  },
-
-  // ── 4: Mini DM with Bots (15×15) ─────────────────────────
-  {
-    name: 'Mini DM with Bots',
-    mode: 'deathmatch_bots',
-    cols: 15, rows: 15,
-    tiles: buildMap(15, 15, [
-      "222222222222222",
-      "2.............2",
-      "2.11..2..11...2",
-      "2.............2",
-      "2..2.....2....2",
-      "2.11.....11...2",
-      "2.............2",
-      "2...2.2.2.....2",
-      "2.............2",
-      "2.11.....11...2",
-      "2..2.....2....2",
-      "2.............2",
-      "2.11..2..11...2",
-      "2.............2",
-      "222222222222222",
-    ]),
-    spawnPoints: [],
-    enemySpawns: [],
-    dmSpawnPoints: [
-      {x:1, y:1},  {x:13,y:1},
-      {x:1, y:13}, {x:13,y:13},
-      {x:7, y:1},  {x:1, y:7},
-      {x:13,y:7},  {x:7, y:13},
-    ],
-  },
-];
+// Map loader: every maps/*.json file is one map (format in maps/README.md).
+// Files load in name order, which is the order the lobby lists them in. A file
+// that fails validation is skipped with an error on the console and the other
+// maps still load — so an index is only good for this run; anything fixed in
+// code (the system rooms) names a map by its id, the file name without .json.
+//
+// Tile types: 0=empty 1=brick 2=steel 3=water 4=bush 5=eagle 6=ice
+// Enemy roster letters (coop spawn order): B=basic F=fast P=power A=armored
+
+const fs   = require('fs');
+const path = require('path');
+
+const MAP_DIR    = path.join(__dirname, 'maps');
+const MODES      = ['coop', 'deathmatch', 'deathmatch_bots', 'team_deathmatch', 'capture_eagle'];
+const TILE_CHARS = { '.': 0, '1': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6 };
+const ROSTER     = { B: 'basic', F: 'fast', P: 'power', A: 'armored' };
+const MIN_SIZE   = 8, MAX_SIZE = 64;
+const MAX_NAME   = 24;
+const NAME_CHARS = /^[A-Za-z0-9 _\-.#!?]+$/;   // names end up in pages and room names — nothing markup-like
+const FIELDS     = ['name', 'mode', 'cols', 'rows', 'tiles', 'spawnPoints', 'enemySpawns', 'enemyRoster',
+                    'dmSpawnPoints', 'teamSpawnPoints', 'eagles'];
+
+const SPAWN_TILES   = new Set([0, 4, 6]);   // a tank must fit on its spawn tile
+const TANK_BLOCKING = new Set([2, 3]);      // steel and water — bricks can be shot away
+
+class MapError extends Error {}
 
-// ── Generic map builder (any size) ────────────────────────
-function buildMap(cols, rows, lines) {
+// ── Validation ────────────────────────────────────────────
+function fail(msg) { throw new MapError(msg); }
+
+function checkPoints(pts, label, m, grid) {
+  if (!Array.isArray(pts)) fail(`${label} must be an array of {x, y}`);
+  for (const p of pts) {
+    if (!p || !Number.isInteger(p.x) || !Number.isInteger(p.y)) fail(`${label}: ${JSON.stringify(p)} is not {x, y}`);
+    if (p.x < 0 || p.y < 0 || p.x >= m.cols || p.y >= m.rows) fail(`${label}: (${p.x},${p.y}) is off the map`);
+    if (grid && !SPAWN_TILES.has(grid[p.y * m.cols + p.x])) fail(`${label}: (${p.x},${p.y}) is not on an empty, bush or ice tile`);
+  }
+}
+
+// Tiles reachable from `start`, treating bricks as passable (they can be shot through)
+function reachable(grid, cols, rows, start) {
+  const seen  = new Set([start.y * cols + start.x]);
+  const queue = [start.y * cols + start.x];
+  while (queue.length) {
+    const k = queue.pop(), x = k % cols, y = Math.floor(k / cols);
+    for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+      const nk = ny * cols + nx;
+      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows || seen.has(nk) || TANK_BLOCKING.has(grid[nk])) continue;
+      seen.add(nk);
+      queue.push(nk);
+    }
+  }
+  return seen;
+}
+
+// Checks a parsed map file and builds the in-game map object
+function buildMap(m) {
+  if (typeof m.name !== 'string' || !m.name.trim()) fail('"name" is missing');
+  if (m.name.length > MAX_NAME) fail(`"name" is longer than ${MAX_NAME} characters`);
+  if (!NAME_CHARS.test(m.name)) fail('"name" may only use letters, digits, spaces and _ - . # ! ?');
+  if (!MODES.includes(m.mode)) fail(`"mode" must be one of ${MODES.join(', ')}`);
+  for (const k of ['cols', 'rows']) {
+    if (!Number.isInteger(m[k]) || m[k] < MIN_SIZE || m[k] > MAX_SIZE) fail(`"${k}" must be an integer ${MIN_SIZE}–${MAX_SIZE}`);
+  }
+
+  // Tiles: exactly `rows` strings of exactly `cols` characters
+  if (!Array.isArray(m.tiles) || m.tiles.length !== m.rows) fail(`"tiles" must have ${m.rows} rows`);
   const grid = [];
-  for (let r = 0; r < rows; r++) {
-    const row = (lines[r] || '').padEnd(cols, '.');
-    for (let c = 0; c < cols; c++) {
-      const ch = row[c];
-      grid.push(
-        ch==='1'?1 : ch==='2'?2 : ch==='3'?3 : ch==='4'?4 : ch==='5'?5 : 0
-      );
+  m.tiles.forEach((line, r) => {
+    if (typeof line !== 'string' || line.length !== m.cols) {
+      fail(`tiles row ${r} is ${typeof line === 'string' ? line.length : 'not a string of'} characters, expected ${m.cols}`);
+    }
+    [...line].forEach((ch, c) => {
+      if (!(ch in TILE_CHARS)) fail(`tiles row ${r}, column ${c}: unknown tile "${ch}"`);
+      grid.push(TILE_CHARS[ch]);
+    });
+  });
+
+  const map = {
+    name:          m.name,
+    mode:          m.mode,
+    cols:          m.cols,
+    rows:          m.rows,
+    tiles:         grid,
+    spawnPoints:   m.spawnPoints   || [],
+    enemySpawns:   m.enemySpawns   || [],
+    dmSpawnPoints: m.dmSpawnPoints || [],
+  };
+  checkPoints(map.spawnPoints,   'spawnPoints',   m, grid);
+  checkPoints(map.enemySpawns,   'enemySpawns',   m, grid);
+  checkPoints(map.dmSpawnPoints, 'dmSpawnPoints', m, grid);
+  if (m.teamSpawnPoints) {
+    map.teamSpawnPoints = {};
+    for (const t of ['red', 'blue']) {
+      checkPoints(m.teamSpawnPoints[t] || [], `teamSpawnPoints.${t}`, m, grid);
+      map.teamSpawnPoints[t] = m.teamSpawnPoints[t] || [];
+    }
+  }
+  if (m.enemyRoster !== undefined) {
+    if (typeof m.enemyRoster !== 'string' || !/^[BFPA]+$/.test(m.enemyRoster)) fail('"enemyRoster" must be a string of B, F, P and A');
+    map.enemyRoster = buildRoster(m.enemyRoster);
+  }
+
+  // What each mode needs to be playable
+  const eagleTiles = grid.reduce((a, t, i) => (t === 5 && a.push({ x: i % m.cols, y: Math.floor(i / m.cols) }), a), []);
+  const team = map.teamSpawnPoints || {};
+  switch (m.mode) {
+    case 'coop':
+      if (!map.spawnPoints.length) fail('coop maps need "spawnPoints"');
+      if (!map.enemySpawns.length) fail('coop maps need "enemySpawns"');
+      if (!eagleTiles.length)      fail('coop maps need an eagle (tile 5)');
+      break;
+    case 'deathmatch':
+    case 'deathmatch_bots':
+      if (!map.dmSpawnPoints.length) fail(`${m.mode} maps need "dmSpawnPoints"`);
+      break;
+    case 'capture_eagle':
+      if (!m.eagles) fail('capture_eagle maps need "eagles" for red and blue');
+      map.eagles = {};
+      for (const t of ['red', 'blue']) {
+        const es = m.eagles[t];
+        if (!Array.isArray(es) || !es.length) fail(`"eagles.${t}" is missing`);
+        checkPoints(es, `eagles.${t}`, m, null);
+        for (const e of es) if (grid[e.y * m.cols + e.x] !== 5) fail(`eagles.${t}: (${e.x},${e.y}) is not an eagle tile`);
+        map.eagles[t] = es;
+      }
+      // fall through — team spawns are needed too
+    case 'team_deathmatch':
+      if (!(team.red && team.red.length && team.blue && team.blue.length) && !map.dmSpawnPoints.length) {
+        fail(`${m.mode} maps need "teamSpawnPoints" (or "dmSpawnPoints")`);
+      }
+      break;
+  }
+
+  // Every spawn and eagle must be reachable from the others
+  const targets = [
+    ...map.spawnPoints, ...map.enemySpawns, ...map.dmSpawnPoints,
+    ...(team.red || []), ...(team.blue || []), ...eagleTiles,
+  ];
+  const seen = reachable(grid, m.cols, m.rows, targets[0]);
+  for (const p of targets) {
+    if (!seen.has(p.y * m.cols + p.x)) fail(`(${p.x},${p.y}) can't be reached from (${targets[0].x},${targets[0].y}) — walled in by steel or water`);
+  }
+  return map;
+}
+
+// ── Enemy roster builder (one letter per tank, in spawn order) ──
+function buildRoster(letters) {
+  return [...letters].map(ch => ROSTER[ch] || 'basic');
+}
+
+// ── Loading ───────────────────────────────────────────────
+// "base": "<file name without .json>" reuses another file's layout; the
+// file's own fields (usually name and mode) override it
+function readMapFile(file, seen = []) {
+  if (seen.includes(file)) fail(`"base" loop: ${[...seen, file].join(' → ')}`);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.join(MAP_DIR, file + '.json'), 'utf8'));
+  } catch (e) {
+    fail(e.code === 'ENOENT' ? `"${file}.json" not found` : `${file}.json: ${e.message}`);
+  }
+  if (!data.base) return data;
+  const { base, ...own } = data;
+  return { ...readMapFile(base, [...seen, file]), ...own };
+}
+
+function loadMaps() {
+  const maps = [];
+  for (const name of fs.readdirSync(MAP_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const id = name.slice(0, -5);
+    try {
+      maps.push({ id, ...buildMap(readMapFile(id)) });
+    } catch (e) {
+      if (!(e instanceof MapError)) throw e;
+      console.error(`[maps] maps/${name} rejected: ${e.message}`);
     }
   }
-  return grid;
+  if (!maps.length) throw new Error(`no valid maps in ${MAP_DIR}`);
+  return maps;
+}
+
+const MAPS = loadMaps();
+
+// Index of the map loaded from maps/<id>.json, or -1 if it didn't load
+function mapIndexById(id) {
+  return MAPS.findIndex(m => m.id === id);
+}
+
+// ── User maps (saved from the map editor, stored in SQLite) ──
+// Only the map-file fields are kept — anything else in the upload is dropped
+function pickMapFields(m) {
+  const out = {};
+  for (const k of FIELDS) if (m[k] !== undefined) out[k] = m[k];
+  return out;
+}
+
+// Validate and append a user map; returns its index. Throws MapError.
+// User maps are listed after the built-in ones and never join the coop campaign.
+function addUserMap(id, data, author) {
+  MAPS.push({ id: 'user-' + id, user: true, author: author || null, ...buildMap(data) });
+  return MAPS.length - 1;
 }
 
 // Legacy global spawn points (still used as fallbacks)
@@ -219,5 +210,9 @@ const DM_SPAWN_POINTS = [
   {x:12,y:1},{x:1,y:12},{x:24,y:12},{x:12,y:24},
 ];
 const ENEMY_SPAWNS    = [{x:0,y:0},{x:12,y:0},{x:24,y:0}];
+const ENEMY_ROSTER    = buildRoster('BBBBBBBBBBBBBBBBBBBB');
 
-module.exports = { MAPS, SPAWN_POINTS, DM_SPAWN_POINTS, ENEMY_SPAWNS };
\ No newline at end of file
+module.exports = {
+  MAPS, SPAWN_POINTS, DM_SPAWN_POINTS, ENEMY_SPAWNS, ENEMY_ROSTER,
+  buildMap, pickMapFields, addUserMap, mapIndexById, reachable, MapError,
+};
@@ -0,0 +1,104 @@
+'use strict';
+// Grid pathfinding and line-of-sight helpers for AI tanks.
+// Everything works in tile coordinates over a GameRoom's flat mapData array.
+
+const { brickMask } = require('./public/movement');
+
+const DX = [0, 1, 0, -1];
+const DY = [-1, 0, 1, 0];
+const BRICK_COST      = 4;                    // bricks can be shot through, at a price
+const BULLET_BLOCKING = new Set([2, 5]);      // steel, eagle — and any brick, whole or broken
+
+// A* from start to goal ({x, y} tiles) over tiles in `passable`, plus bricks.
+// The goal tile is always enterable (so an eagle can be a goal).
+// Returns the tiles to visit after start, or null if the goal is unreachable.
+function findPath(grid, cols, rows, start, goal, passable) {
+  const key     = (x, y) => y * cols + x;
+  const h       = (x, y) => Math.abs(x - goal.x) + Math.abs(y - goal.y);
+  const startK  = key(start.x, start.y);
+  const goalK   = key(goal.x, goal.y);
+  // Per-tile state in flat arrays: cheaper than Maps on the bigger maps
+  const g       = new Float64Array(cols * rows).fill(Infinity);
+  const cameFrom = new Int32Array(cols * rows);
+  const closed  = new Uint8Array(cols * rows);
+  const open    = [{ k: startK, x: start.x, y: start.y, f: h(start.x, start.y) }];
+  g[startK] = 0;
+
+  while (open.length) {
+    const cur = heapPop(open);
+
+    if (cur.k === goalK) return rebuildPath(cameFrom, goalK, startK, cols);
+    if (closed[cur.k]) continue;
+    closed[cur.k] = 1;
+
+    for (let d = 0; d < 4; d++) {
+      const nx = cur.x + DX[d], ny = cur.y + DY[d];
+      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+      const nk = key(nx, ny);
+      if (closed[nk]) continue;
+      const tile = grid[nk];
+      const step = (nk === goalK || passable.has(tile)) ? 1 : brickMask(tile) ? BRICK_COST : Infinity;
+      if (step === Infinity) continue;
+      const ng = g[cur.k] + step;
+      if (ng < g[nk]) {
+        g[nk] = ng;
+        cameFrom[nk] = cur.k;
+        heapPush(open, { k: nk, x: nx, y: ny, f: ng + h(nx, ny) });
+      }
+    }
+  }
+  return null;
+}
+
+// Open set: a binary min-heap on f — maps go up to 64×64, too big for a linear scan
+function heapPush(heap, node) {
+  let i = heap.push(node) - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].f <= node.f) break;
+    heap[i] = heap[parent];
+    i = parent;
+  }
+  heap[i] = node;
+}
+
+function heapPop(heap) {
+  const top  = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let min = i, minF = last.f;
+      if (l < heap.length && heap[l].f < minF) { min = l; minF = heap[l].f; }
+      if (r < heap.length && heap[r].f < minF) { min = r; }
+      if (min === i) break;
+      heap[i] = heap[min];
+      i = min;
+    }
+    heap[i] = last;
+  }
+  return top;
+}
+
+function rebuildPath(cameFrom, goalK, startK, cols) {
+  const path = [];
+  for (let k = goalK; k !== startK; k = cameFrom[k]) {
+    path.push({ x: k % cols, y: Math.floor(k / cols) });
+  }
+  return path.reverse();
+}
+
+// True when nothing that stops a bullet lies strictly between two tiles
+// sharing a row or column.
+function lineClear(grid, cols, ax, ay, bx, by) {
+  if (ax !== bx && ay !== by) return false;
+  const sx = Math.sign(bx - ax), sy = Math.sign(by - ay);
+  for (let x = ax + sx, y = ay + sy; x !== bx || y !== by; x += sx, y += sy) {
+    const tile = grid[y * cols + x];
+    if (BULLET_BLOCKING.has(tile) || brickMask(tile)) return false;
+  }
+  return true;
+}
+
+module.exports = { findPath, lineClear };
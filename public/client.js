@@ -10,9 +10,13 @@ const DY  = [-1, 0, 1, 0];
 // ── State ──────────────────────────────────────────────────
 let socket, myId, currentRoomId, currentMode = 'coop';
 let selectedRoomId = null;
+let lobbyRooms = [];        // last roomList from the server
+let editorTesting = false;  // in a map editor test room — leaving goes back to the editor
+let spectating = false, followId = null;  // watching without a tank; followId = tank the camera tracks
 let gameState = null, mapData = null;
 let lastRender = 0, animTick = 0;
-let pingMs = 0, pingStart = 0;
+let pingMs = 0, pingStart = 0, pingTimer = null;
+let rejoin = null;          // { roomId, playerName } to rejoin after a dropped connection
 let autoLeaveTimer = null;  // countdown interval on game-over screen
 
 const keys = {};
@@ -30,13 +34,33 @@ const TILE_COLORS = {
   3:{main:'#0055AA',dark:'#003377',light:'#0077CC'},
   4:{main:'#1A5C1A',dark:'#0D3D0D',light:'#2A8C2A'},
   5:{main:'#FFD700',dark:'#B8860B',light:'#FFF'},
+  6:{main:'#C8D8E8',dark:'#8CA8C0',light:'#FFF'},
+};
+
+// Classic enemy colours by type; armored tanks fade as they lose hit points
+const ENEMY_COLORS  = { basic:'#CC2222', fast:'#E08030', power:'#B030D0' };
+const ARMORED_HP_COLORS = ['#CC2222', '#CC2222', '#D0A020', '#80C040', '#30B0B0'];  // index = hp left
+
+// 7×7 pickup icons, drawn at 2px per cell like the eagle
+const POWERUP_SPRITES = {
+  star:    ['   X   ','  XXX  ','XXXXXXX',' XXXXX ','  XXX  ',' XX XX ','XX   XX'],
+  helmet:  ['  XXX  ',' XXXXX ','XXXXXXX','XXXXXXX','XX   XX','X     X','       '],
+  shovel:  ['   XX  ','   XX  ','   XX  ','   XX  ',' XXXXX ',' XXXXX ','  XXX  '],
+  grenade: ['    XX ','   XX  ',' XXXXX ','XXXXXXX','XXXXXXX',' XXXXX ','  XXX  '],
+  clock:   ['  XXX  ',' X X X ','X  X  X','X  XX X','X     X',' X   X ','  XXX  '],
+  tank:    ['   X   ','   X   ',' XXXXX ','XXXXXXX','XXXXXXX','XXXXXXX','X X X X'],
 };
 
 const MODE_LABELS = {
   coop:             'CO-OP',
   deathmatch:       'DEATHMATCH',
   deathmatch_bots:  'DM + BOTS',
+  team_deathmatch:  'TEAM DM',
+  capture_eagle:    'CAPTURE EAGLE',
 };
+const DM_MODES = ['deathmatch', 'deathmatch_bots', 'team_deathmatch', 'capture_eagle'];
+const RANDOM_MODES = ['coop', 'deathmatch_bots', 'deathmatch', 'team_deathmatch'];   // generated-map modes (mapgen.js)
+function isDMMode(mode) { return DM_MODES.includes(mode); }
 
 // ── UID persistence ───────────────────────────────────────
 // Stored in localStorage so the same browser keeps the same UID across sessions
@@ -68,7 +92,23 @@ socket.on('connect', () => {
   myId = socket.id;
   // Register with server — send stored UID so server can match returning users
   socket.emit('register', { uid: getStoredUID(), resolution: getResolution() });
-  setInterval(() => { pingStart = Date.now(); socket.emit('ping_'); }, 2000);
+  if (!pingTimer) pingTimer = setInterval(() => { pingStart = Date.now(); socket.emit('ping_'); }, 2000);
+  // Back from a dropped connection: the server is holding our tank for a while
+  if (rejoin) socket.emit('joinRoom', rejoin);
+});
+
+// Leave (and serverReset) disconnect on purpose; anything else is a dropped connection
+socket.on('disconnect', (reason) => {
+  if (reason === 'io server disconnect') {   // kicked — socket.io won't reconnect by itself
+    alert('Disconnected by the server.');
+    if (currentRoomId) leaveGame(); else socket.connect();
+    return;
+  }
+  if (reason === 'io client disconnect' || !currentRoomId || spectating || replay) return;
+  const me = gameState && gameState.players.find(p => p.id === myId);
+  if (!me) return;
+  rejoin = { roomId: currentRoomId, playerName: me.name };
+  addChatMessage('system', 'Connection lost — reconnecting...');
 });
 
 // Server confirms/assigns UID
@@ -83,14 +123,57 @@ socket.on('pong_', () => {
 });
 socket.on('roomList',  renderRoomList);
 socket.on('mapList', (maps) => {
-  const sel = document.getElementById('mapSelect');
-  sel.innerHTML = maps.map(m =>
-    `<option value="${m.index}" ${m.index === 4 ? 'selected' : ''}>[${modeBadgeText(m.mode)}] ${m.name}</option>`
-  ).join('');
+  const sel  = document.getElementById('mapSelect');
+  const prev = sel.value;
+  const opt  = m => `<option value="${m.index}">[${modeBadgeText(m.mode)}] ${escHtml(m.name)}${m.author ? ` — ${escHtml(m.author)}` : ''}</option>`;
+  const user = maps.filter(m => m.user);
+  sel.innerHTML = maps.filter(m => !m.user).map(opt).join('') +
+    (user.length ? `<optgroup label="USER MAPS">${user.map(opt).join('')}</optgroup>` : '') +
+    `<optgroup label="RANDOM">${RANDOM_MODES.map(mode =>
+      `<option value="random:${mode}">[${modeBadgeText(mode)}] RANDOM MAP</option>`).join('')}</optgroup>`;
+  const dflt = maps.find(m => m.id === '04-mini-dm') || maps[0];
+  sel.value = prev || String(dflt.index);   // keep the pick when the list refreshes; default Mini DM
+  updateRandomMapUI();
 });
-socket.on('roomCreated', ({roomId}) => { selectedRoomId = roomId; joinSelected(); });
-socket.on('joinedRoom', ({roomId, playerId, mapData:md, mode, cols, rows, fragLimit}) => {
-  myId = playerId; currentRoomId = roomId; currentMode = mode || 'coop';
+socket.on('roomCreated', ({roomId}) => {
+  selectedRoomId = roomId;
+  editorTesting = document.getElementById('editorScreen').classList.contains('active');   // a TEST PLAY room
+  joinRoomById(roomId, createdPassword);   // the creator doesn't have to type it again
+  createdPassword = null;
+});
+socket.on('joinedRoom', ({roomId, playerId, mapData:md, mode, cols, rows, resumed, hidden}) => {
+  myId = playerId; spectating = false; rejoin = null;
+  if (resumed && currentRoomId === roomId) {
+    // Still on the game screen — just resync under the new socket id
+    stateHistory.clear();
+    resetNetSync();
+    addChatMessage('system', 'Reconnected!');
+    return;
+  }
+  enterGame(roomId, md, mode, cols, rows);
+  addChatMessage('system', `Joined! Mode: ${MODE_LABELS[currentMode]}`);
+  if (hidden) addChatMessage('system', `Private room — invite with ${location.origin}/?room=${roomId}`);
+});
+socket.on('spectating', ({roomId, mapData:md, mode, cols, rows}) => {
+  myId = null; spectating = true; followId = null;
+  enterGame(roomId, md, mode, cols, rows);
+  addChatMessage('system', 'Spectating — click a tank to follow it, TAB to cycle, click empty ground for the full map');
+});
+// Wrong password (or a locked hidden room, which the lobby can't know about): ask and try again
+socket.on('passwordRequired', ({roomId, spectate, wrong}) => {
+  const password = prompt(wrong ? 'WRONG PASSWORD — TRY AGAIN:' : '🔒 ROOM PASSWORD:');
+  if (!password) { abandonRejoin(); return; }
+  if (spectate) spectateRoom(roomId, password);
+  else          joinRoomById(roomId, password);
+});
+socket.on('roomFull', ({roomId}) => {
+  abandonRejoin();
+  if (confirm('ROOM IS FULL — WATCH AS A SPECTATOR?')) spectateRoom(roomId, sentPassword);
+});
+function enterGame(roomId, md, mode, cols, rows) {
+  currentRoomId = roomId; currentMode = mode || 'coop';
+  stateHistory.clear();
+  resetNetSync();
   mapData = md;
   if (cols) COLS = cols;
   if (rows) ROWS = rows;
@@ -101,14 +184,32 @@ socket.on('joinedRoom', ({roomId, playerId, mapData:md, mode, cols, rows, fragLi
   showScreen('gameScreen');
   resizeCanvas();
   requestAnimationFrame(gameLoop);
-  addChatMessage('system', `Joined! Mode: ${MODE_LABELS[currentMode]}`);
-});
-socket.on('gameState', (state) => {
+}
+// ── State sync: keyframes + deltas (format in public/state-delta.js) ──
+const stateHistory = new Map();   // seq -> rebuilt state; the server diffs against the ones we ack
+
+socket.on('gameState', (msg) => {
+  let state;
+  if (msg.full) {
+    state = msg.full;
+  } else {
+    const base = stateHistory.get(msg.base);
+    if (!base) { socket.emit('stateAck', null); return; }   // lost our baseline — ask for a keyframe
+    state = StateDelta.applyDelta(base, msg.delta);
+  }
+  // The server never diffs against anything older than what it was sent from
+  const oldest = msg.full ? msg.seq : msg.base;
+  for (const seq of stateHistory.keys()) if (seq < oldest) stateHistory.delete(seq);
+  stateHistory.set(msg.seq, state);
+  socket.emit('stateAck', msg.seq);
+
   gameState = state;
   currentMode = state.mode || currentMode;
   if (state.mapData) mapData = state.mapData;
   if (state.cols && state.cols !== COLS) { COLS = state.cols; canvas.width  = COLS * TILE; ctx.imageSmoothingEnabled = false; }
   if (state.rows && state.rows !== ROWS) { ROWS = state.rows; canvas.height = ROWS * TILE; ctx.imageSmoothingEnabled = false; }
+  reconcile(state);
+  bufferSnapshot(state);
   if (state.gameOver) showGameOver(state);
   updateHUD(state);
 });
@@ -118,6 +219,8 @@ socket.on('gameRestarted', ({mapData:md, mode, cols, rows}) => {
   if (rows) { ROWS = rows; canvas.height = ROWS * TILE; ctx.imageSmoothingEnabled = false; }
   document.getElementById('gameOverlay').classList.remove('show');
   gameState = null;
+  stateHistory.clear();
+  resetNetSync();
   updateModeUI();
   resizeCanvas();
 });
@@ -126,17 +229,26 @@ socket.on('serverReset', () => {
   if (autoLeaveTimer) { clearInterval(autoLeaveTimer); autoLeaveTimer = null; }
   leaveGame();
 });
-socket.on('playerJoined', ({name}) => addChatMessage('system', `${name} joined!`));
+socket.on('playerJoined', ({name, resumed}) => addChatMessage('system', resumed ? `${name} reconnected!` : `${name} joined!`));
+socket.on('playerDropped', ({name}) => addChatMessage('system', `${name} lost connection…`));
 socket.on('playerLeft',   ()        => addChatMessage('system', 'A player left.'));
 socket.on('chat', ({name, msg})     => addChatMessage('chat', msg, name));
-socket.on('error', (msg)            => alert('Error: ' + msg));
+socket.on('error', (msg)            => { abandonRejoin(); alert('Error: ' + msg); });
+
+// Couldn't get back into the room we dropped out of — back to the lobby
+function abandonRejoin() {
+  if (!rejoin) return;
+  rejoin = null;
+  leaveGame();
+}
 
 // ── Lobby ─────────────────────────────────────────────────
 function modeBadgeText(mode) {
-  return {coop:'COOP',deathmatch:'DM',deathmatch_bots:'DM+BOT'}[mode] || mode;
+  return {coop:'COOP',deathmatch:'DM',deathmatch_bots:'DM+BOT',team_deathmatch:'TDM',capture_eagle:'CTE'}[mode] || mode;
 }
 
 function renderRoomList(rooms) {
+  lobbyRooms = rooms || [];
   const el = document.getElementById('roomList');
   if (!rooms || !rooms.length) {
     el.innerHTML = '<div style="font-size:7px;color:#444;text-align:center;padding:20px">NO ROOMS — CREATE ONE!</div>';
@@ -144,35 +256,102 @@ function renderRoomList(rooms) {
   }
   el.innerHTML = rooms.map(r => `
     <div class="room-item ${selectedRoomId===r.id?'selected':''}" onclick="selectRoom('${r.id}',this)">
-      <span class="room-name">${escHtml(r.name)}</span>
+      <span class="room-name">${r.locked ? '🔒 ' : ''}${escHtml(r.name)}</span>
       <span class="mode-badge ${r.mode}">${modeBadgeText(r.mode)}</span>
-      <span class="room-players" style="font-size:6px">${r.players}/${r.maxPlayers}</span>
+      <span class="room-players" style="font-size:6px">${r.players}/${r.maxPlayers}${r.spectators ? ` 👁${r.spectators}` : ''}</span>
       <span class="room-status ${r.status}">${r.status.toUpperCase()}</span>
+      ${r.map ? `<span class="room-map">MAP: ${escHtml(r.map)}</span>` : ''}
+      ${settingsSummary(r.settings) ? `<span class="room-settings">${settingsSummary(r.settings)}</span>` : ''}
     </div>`).join('');
 }
 
+// One-line summary of the non-default settings a room was created with
+function settingsSummary(s) {
+  if (!s) return '';
+  const parts = [];
+  if (s.fragLimit)               parts.push(`FRAGS ${s.fragLimit}`);
+  if (s.botCount !== undefined)  parts.push(`BOTS ${s.botCount}`);
+  if (s.lives)                   parts.push(`LIVES ${s.lives}`);
+  if (s.enemyCount)              parts.push(`ENEMIES ${s.enemyCount}`);
+  if (s.timeLimit)               parts.push(`${s.timeLimit} MIN`);
+  if (s.botDifficulty)           parts.push(s.botDifficulty.toUpperCase());
+  if (s.friendlyFire)            parts.push('FF');
+  return parts.join(' · ');
+}
+
 function selectRoom(id, el) {
   selectedRoomId = id;
   document.querySelectorAll('.room-item').forEach(e => e.classList.remove('selected'));
   if (el) el.classList.add('selected');
 }
+function callsign() {
+  return (document.getElementById('playerName').value.trim() || 'TANK_'+Math.floor(Math.random()*999)).toUpperCase();
+}
+// 🔒 rooms in the list: ask before the first try. Returns undefined for an open
+// room, null if the prompt was cancelled.
+function askRoomPassword(roomId) {
+  const room = lobbyRooms.find(r => r.id === roomId);
+  if (!room || !room.locked) return undefined;
+  return prompt('🔒 ROOM PASSWORD:') || null;
+}
+let sentPassword;   // password of the last join, reused if the room is full and we spectate
 function joinSelected() {
   if (!selectedRoomId) { alert('Select a room first!'); return; }
-  const name = document.getElementById('playerName').value.trim() || 'TANK_'+Math.floor(Math.random()*999);
-  socket.emit('joinRoom', { roomId: selectedRoomId, playerName: name.toUpperCase() });
+  const password = askRoomPassword(selectedRoomId);
+  if (password !== null) joinRoomById(selectedRoomId, password);
+}
+function joinRoomById(roomId, password) {
+  sentPassword = password || undefined;
+  socket.emit('joinRoom', { roomId, playerName: callsign(), password: sentPassword });
+}
+function spectateSelected() {
+  if (!selectedRoomId) { alert('Select a room first!'); return; }
+  const password = askRoomPassword(selectedRoomId);
+  if (password !== null) spectateRoom(selectedRoomId, password);
+}
+function spectateRoom(roomId, password) {
+  socket.emit('spectateRoom', { roomId, playerName: callsign(), password: password || undefined });
 }
+let createdPassword = null;   // password of the room we just created, for the auto-join
 function createRoom() {
   const name = document.getElementById('newRoomName').value.trim() || 'BATTLE ROOM';
-  socket.emit('createRoom', { name, mapIndex: parseInt(document.getElementById('mapSelect').value) });
+  createdPassword = document.getElementById('roomPassword').value || null;
+  const num  = id => { const v = document.getElementById(id).value; return v === '' ? undefined : Number(v); };
+  const map  = document.getElementById('mapSelect').value;
+  const random = map.startsWith('random:');
+  socket.emit('createRoom', {
+    name,
+    mapIndex:      random ? undefined : parseInt(map),
+    randomMode:    random ? map.slice(7) : undefined,
+    randomSize:    random ? parseInt(document.getElementById('randomSize').value) : undefined,
+    mapSeed:       random ? num('mapSeed') : undefined,   // blank = a fresh seed
+    password:      createdPassword || undefined,
+    hidden:        document.getElementById('hiddenRoom').checked,
+    friendlyFire:  document.getElementById('friendlyFire').checked,
+    rounds:        parseInt(document.getElementById('roundsSelect').value),
+    botDifficulty: document.getElementById('botDifficulty').value,
+    fragLimit:     num('setFragLimit'),
+    botCount:      num('setBotCount'),
+    lives:         num('setLives'),
+    enemyCount:    num('setEnemyCount'),
+    timeLimit:     num('setTimeLimit'),
+    maxPlayers:    num('setMaxPlayers'),
+  });
 }
 function refreshRooms() { socket.emit('getRooms'); }
 
+// Size and seed only apply to a RANDOM map
+function updateRandomMapUI() {
+  const random = document.getElementById('mapSelect').value.startsWith('random:');
+  document.getElementById('randomMapFields').style.display = random ? '' : 'none';
+}
+
 // ── Mode UI helpers ───────────────────────────────────────
 function updateModeUI() {
   const lbl = document.getElementById('gameModeLabel');
   if (lbl) { lbl.textContent = MODE_LABELS[currentMode] || currentMode; lbl.className = currentMode; }
 
-  const isDM = currentMode === 'deathmatch' || currentMode === 'deathmatch_bots';
+  const isDM = isDMMode(currentMode);
 
   // Hide enemy section in DM
   const enemySec = document.getElementById('enemySection');
@@ -199,11 +378,17 @@ function showScreen(id) {
   if (mc) mc.style.display = (id==='gameScreen' && isMobile()) ? 'flex' : 'none';
 }
 function leaveGame() {
+  if (replay) { exitReplay(); return; }
+  const backTo = editorTesting ? 'editorScreen' : 'lobbyScreen';
+  editorTesting = false;
   if (autoLeaveTimer) { clearInterval(autoLeaveTimer); autoLeaveTimer = null; }
   document.getElementById('gameOverlay').classList.remove('show');
   socket.disconnect(); socket.connect();
-  showScreen('lobbyScreen');
+  showScreen(backTo);
   gameState = null; mapData = null; currentRoomId = null; currentMode = 'coop';
+  spectating = false; followId = null;
+  stateHistory.clear();
+  resetNetSync();
   socket.emit('roomList');
   loadLeaderboard(); // refresh scores after returning from a game
 }
@@ -232,6 +417,7 @@ document.addEventListener('keydown', e => {
   keys[e.code] = true;
   if (['Space','ArrowUp','ArrowDown','ArrowLeft','ArrowRight'].includes(e.code)) e.preventDefault();
   if (e.code==='Escape') leaveGame();
+  if (e.code==='Tab' && spectating) { e.preventDefault(); cycleFollow(); }
 });
 document.addEventListener('keyup', e => { keys[e.code] = false; });
 
@@ -303,18 +489,105 @@ function moveKnob(dx, dy) {
 }
 
 // ── Input loop ────────────────────────────────────────────
+// Every input is one movement step on the server. We apply it to our own tank
+// right away (public/movement.js, same code as the server) and keep it until a
+// gameState acknowledges its seq, replaying whatever is still unacknowledged.
+let inputSeq = 0;
+let pendingInputs = [];   // sent, not yet applied by the server
+let predicted = null;     // local tank as the server will have it
+
 function sendInput() {
-  if (!currentRoomId) return;
-  socket.emit('input', {
+  if (!currentRoomId || spectating || !socket.connected) return;   // no offline backlog to flush on reconnect
+  const input = {
+    seq:   ++inputSeq,
     up:    keys['ArrowUp']    || keys['KeyW'] || touch.up,
     down:  keys['ArrowDown']  || keys['KeyS'] || touch.down,
     left:  keys['ArrowLeft']  || keys['KeyA'] || touch.left,
     right: keys['ArrowRight'] || keys['KeyD'] || touch.right,
     shoot: keys['Space']      || keys['Enter']|| touch.shoot,
-  });
+  };
+  socket.emit('input', input);
+  pendingInputs.push(input);
+  if (predicted) {
+    stepFrom = { x: predicted.x, y: predicted.y }; stepAt = performance.now();
+    predicted.moving = Movement.stepTank(predictionWorld(), predicted, input, blockedByOthers);
+  }
 }
 setInterval(sendInput, 33);
 
+function predictionWorld() { return { mapData, cols: COLS, rows: ROWS }; }
+
+function blockedByOthers(e, nx, ny) {
+  const others = [...gameState.players.filter(p => p.id !== myId), ...(gameState.bots||[]), ...gameState.enemies];
+  return others.some(o => o.alive &&
+    nx < o.x + TANK_SIZE && nx + TANK_SIZE > o.x && ny < o.y + TANK_SIZE && ny + TANK_SIZE > o.y);
+}
+
+// Where to draw our tank this frame: glide through the last predicted step
+// so the 30 Hz input loop doesn't look stepped on faster monitors
+let stepFrom = null, stepAt = 0;
+function smoothedPrediction() {
+  if (!stepFrom) return predicted;
+  const k = Math.min(1, (performance.now() - stepAt) / 33);
+  return { ...predicted, x: stepFrom.x + (predicted.x - stepFrom.x) * k, y: stepFrom.y + (predicted.y - stepFrom.y) * k };
+}
+
+// Authoritative state arrived: start from the server's tank and replay unacknowledged inputs
+function reconcile(state) {
+  const me = state.players.find(p => p.id === myId);
+  pendingInputs = pendingInputs.filter(i => i.seq > (me ? me.seq : 0));
+  if (!me || !me.alive || state.intermission > 0 || state.gameOver) { predicted = null; return; }
+  predicted = { ...me };
+  for (const input of pendingInputs) predicted.moving = Movement.stepTank(predictionWorld(), predicted, input, blockedByOthers);
+}
+
+
+// ── Interpolation ─────────────────────────────────────────
+// Remote tanks and bullets are drawn INTERP_DELAY_MS in the past, between the
+// two buffered snapshots around that moment. When packets run late we keep
+// extrapolating along the last movement for up to MAX_EXTRAPOLATE_MS.
+const INTERP_DELAY_MS    = 100;
+const MAX_EXTRAPOLATE_MS = 100;
+const SNAPSHOT_BUFFER    = 20;
+const TELEPORT_PX        = TILE * 2;   // respawns and new stages snap instead of gliding
+let snapshots   = [];     // { time, state } by server tick time, oldest first
+let clockOffset = null;   // server time − performance.now()
+
+function bufferSnapshot(state) {
+  // The least-delayed packet gives the best offset; drift back slowly otherwise
+  const offset = state.time - performance.now();
+  clockOffset = clockOffset === null || offset > clockOffset ? offset : clockOffset + (offset - clockOffset) * 0.02;
+  const last = snapshots[snapshots.length - 1];
+  if (last && state.time <= last.time) return;   // no new tick since the last broadcast
+  snapshots.push({ time: state.time, state });
+  if (snapshots.length > SNAPSHOT_BUFFER) snapshots.shift();
+}
+
+// Tank and bullet lists as of (now − INTERP_DELAY_MS)
+function interpolatedView() {
+  const n = snapshots.length;
+  if (n < 2) return gameState;
+  const t = performance.now() + clockOffset - INTERP_DELAY_MS;
+  let k = snapshots.findIndex(s => s.time >= t);
+  if (k === 0) return snapshots[0].state;
+  if (k < 0) k = n - 1;
+  const a = snapshots[k - 1], b = snapshots[k];
+  const alpha = (Math.min(t, b.time + MAX_EXTRAPOLATE_MS) - a.time) / (b.time - a.time);
+
+  const lerpList = key => {
+    const before = new Map((a.state[key] || []).map(e => [e.id, e]));
+    return (b.state[key] || []).map(eb => {
+      const ea = before.get(eb.id);
+      if (!ea || Math.abs(eb.x - ea.x) + Math.abs(eb.y - ea.y) > TELEPORT_PX) return eb;
+      return { ...eb, x: ea.x + (eb.x - ea.x) * alpha, y: ea.y + (eb.y - ea.y) * alpha };
+    });
+  };
+  return { players: lerpList('players'), bots: lerpList('bots'), enemies: lerpList('enemies'), bullets: lerpList('bullets') };
+}
+
+// Forget predicted inputs and buffered snapshots (join, restart, leave)
+function resetNetSync() { pendingInputs = []; predicted = null; stepFrom = null; snapshots = []; }
+
 // ── Chat ──────────────────────────────────────────────────
 function sendChat() {
   const inp = document.getElementById('chatInput');
@@ -344,7 +617,11 @@ function addChatMessage(type, msg, name) {
 
 // ── HUD ───────────────────────────────────────────────────
 function updateHUD(state) {
-  const isDM = state.mode==='deathmatch' || state.mode==='deathmatch_bots';
+  const isDM = isDMMode(state.mode);
+  // Random maps carry their seed in the name, so it can be noted and played again
+  const mapLbl = document.getElementById('gameMapLabel');
+  const mapName = state.mapName || '';
+  if (mapLbl && mapLbl.textContent !== mapName) mapLbl.textContent = mapName;
 
   if (isDM) {
     renderDMScoreboard(state);
@@ -360,6 +637,7 @@ function renderCoopHUD(state) {
       <div class="player-color-dot" style="background:${p.color}"></div>
       <span>${escHtml(p.name.slice(0,7))}</span>
       <span class="player-lives">${'♥'.repeat(Math.max(0,p.lives))}</span>
+      <span style="color:#FFD700">${'★'.repeat(p.stars||0)}</span>
       <span class="player-score">${p.score}</span>
     </div>`).join('');
   const sc = document.getElementById('scoreboardContent');
@@ -380,21 +658,47 @@ function renderEnemyCounter(state) {
   const total = (state.enemiesRemaining||0) + (state.enemiesOnField||0);
   const icons = Array(Math.max(0,Math.min(total,30))).fill('<div class="enemy-icon"></div>').join('');
   const c = document.getElementById('enemyCounter'); if (c) c.innerHTML = icons;
-  const l = document.getElementById('enemiesLeft');  if (l) l.textContent=`${state.enemiesRemaining} REMAINING`;
+  const l = document.getElementById('enemiesLeft');  if (l) l.textContent=`STAGE ${state.stage}/${state.totalStages} · ${state.enemiesRemaining} REMAINING`;
   const mc = document.getElementById('mobEnemyRow'); if (mc) mc.innerHTML = Array(Math.max(0,Math.min(total,20))).fill('<div class="mob-enemy-icon"></div>').join('');
   const ml = document.getElementById('mobEnemiesLeft'); if (ml) ml.textContent=`${state.enemiesRemaining} LEFT`;
+
+  // Active power-up timers
+  const secs = ms => Math.ceil(ms/1000);
+  const timers = [];
+  if (state.freezeTimer > 0) timers.push(`⏱ FREEZE ${secs(state.freezeTimer)}s`);
+  if (state.shovelTimer > 0) timers.push(`⛏ WALL ${secs(state.shovelTimer)}s`);
+  for (const pu of state.powerups||[]) timers.push(`★ ${pu.type.toUpperCase()} ${secs(pu.ttl)}s`);
+  const bt = document.getElementById('bonusTimers');    if (bt) bt.innerHTML = timers.join('<br>');
+  const mb = document.getElementById('mobBonusTimers'); if (mb) mb.innerHTML = timers.join(' ');
+}
+
+const TEAM_LABEL_COLORS = { red:'#FF5555', blue:'#5599FF' };
+
+// Team modes: [{team, score, members}] in red, blue order; members sorted by frags
+function groupByTeam(state) {
+  const all = [...(state.players||[]), ...(state.bots||[])].sort((a,b) => b.score - a.score);
+  return Object.keys(state.teamScores).map(team => ({
+    team, score: state.teamScores[team], members: all.filter(p => p.team === team),
+  }));
 }
 
 function renderDMScoreboard(state) {
   // Combine players + bots, sort by frags desc
   const all = [...(state.players||[]), ...(state.bots||[])].sort((a,b) => b.score - a.score);
 
-  const rows = all.map(p => `
+  const row = (p, len) => `
     <tr class="${p.isBot?'bot-row':''}">
-      <td><span style="color:${p.color}">■</span> ${escHtml(p.name.slice(0,8))}</td>
+      <td><span style="color:${p.color}">■</span> ${escHtml(p.name.slice(0,len))}</td>
       <td class="frag-col">${p.score}</td>
       <td class="death-col">${p.deaths}</td>
-    </tr>`).join('');
+    </tr>`;
+  const teamRow = g => `
+    <tr><td style="color:${TEAM_LABEL_COLORS[g.team]}">${g.team.toUpperCase()} TEAM</td>
+      <td class="frag-col" style="color:${TEAM_LABEL_COLORS[g.team]}">${g.score}</td><td></td></tr>`;
+
+  const rows = state.teamScores
+    ? groupByTeam(state).map(g => teamRow(g) + g.members.map(p => row(p, 8)).join('')).join('')
+    : all.map(p => row(p, 8)).join('');
 
   const fragLim = state.fragLimit || 20;
   const html = `
@@ -402,25 +706,33 @@ function renderDMScoreboard(state) {
       <thead><tr><th>NAME</th><th>FRAGS</th><th>DEATHS</th></tr></thead>
       <tbody>${rows}</tbody>
     </table>
-    <div class="dm-frag-limit">FRAG LIMIT: ${fragLim}</div>`;
+    <div class="dm-frag-limit">${state.roundWins
+      ? `ROUNDS: RED ${state.roundWins.red} — ${state.roundWins.blue} BLUE · BEST OF ${state.rounds}`
+      : `${state.teamScores ? 'TEAM ' : ''}FRAG LIMIT: ${fragLim}`}${state.friendlyFire ? ' · FRIENDLY FIRE' : ''}</div>
+    ${matchClock(state)}`;
 
   const sc = document.getElementById('scoreboardContent');
   if (sc) sc.innerHTML = html;
 
   // Mobile DM table (compact)
-  const mobRows = all.slice(0,6).map(p => `
-    <tr class="${p.isBot?'bot-row':''}">
-      <td><span style="color:${p.color}">■</span>${escHtml(p.name.slice(0,5))}</td>
-      <td class="frag-col">${p.score}</td>
-      <td class="death-col">${p.deaths}</td>
-    </tr>`).join('');
+  const mobRows = state.teamScores
+    ? groupByTeam(state).map(g => teamRow(g) + g.members.slice(0,3).map(p => row(p, 5)).join('')).join('')
+    : all.slice(0,6).map(p => row(p, 5)).join('');
 
   const mob = document.getElementById('mobScoreContent');
   if (mob) mob.innerHTML = `
     <table class="mob-dm-table">
       <thead><tr><th>NAME</th><th>K</th><th>D</th></tr></thead>
       <tbody>${mobRows}</tbody>
-    </table>`;
+    </table>${matchClock(state)}`;
+}
+
+// Remaining match time, or the sudden-death banner once it has run out
+function matchClock(state) {
+  if (state.suddenDeath) return '<div class="dm-clock sudden">SUDDEN DEATH — NEXT FRAG WINS</div>';
+  if (!state.timeLimit) return '';
+  const s = Math.ceil(state.timeLeft / 1000);
+  return `<div class="dm-clock${s <= 30 ? ' low' : ''}">⏱ ${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}</div>`;
 }
 
 function showGameOver(state) {
@@ -429,9 +741,18 @@ function showGameOver(state) {
   document.getElementById('gameOverlay').classList.add('show');
 
   const title = document.getElementById('overlayTitle');
-  const isDM  = state.mode==='deathmatch'||state.mode==='deathmatch_bots';
+  const isDM  = isDMMode(state.mode);
 
-  if (isDM) {
+  if (state.teamScores) {
+    title.textContent = `🏆 ${String(state.winner).toUpperCase()} TEAM WINS!`;
+    title.className   = 'dm';
+    // Capture the Eagle is decided by rounds, team DM by frags
+    const teamTotal = g => state.roundWins ? `${state.roundWins[g.team]} ROUNDS` : g.score;
+    document.getElementById('overlayScore').innerHTML = groupByTeam(state).map(g =>
+      `<span style="color:${TEAM_LABEL_COLORS[g.team]}">${g.team.toUpperCase()} TEAM — ${teamTotal(g)}</span><br>` +
+      g.members.map(p=>`${escHtml(p.name)}  ${p.score}K / ${p.deaths}D`).join('<br>')
+    ).join('<br><br>');
+  } else if (isDM) {
     title.textContent = `🏆 ${state.winner} WINS!`;
     title.className   = 'dm';
     const all = [...(state.players||[]), ...(state.bots||[])].sort((a,b)=>b.score-a.score);
@@ -441,8 +762,10 @@ function showGameOver(state) {
     title.textContent = state.winner==='players' ? '★ MISSION COMPLETE ★' : '✕ GAME OVER ✕';
     title.className   = state.winner==='players' ? 'win' : 'lose';
     document.getElementById('overlayScore').innerHTML =
+      `STAGE ${state.stage} / ${state.totalStages}<br>` +
       state.players.map(p=>`${escHtml(p.name)}: ${p.score} pts`).join('<br>');
   }
+  if (state.winner === 'draw') title.textContent = '⚖ DRAW!';
 
   // ── 30-second auto-redirect countdown ──────────────────
   if (autoLeaveTimer) clearInterval(autoLeaveTimer);
@@ -465,30 +788,111 @@ function showGameOver(state) {
 function gameLoop(ts) {
   requestAnimationFrame(gameLoop);
   animTick += ts - lastRender; lastRender = ts;
+  if (replay) advanceReplay();
   ctx.fillStyle='#000'; ctx.fillRect(0,0,canvas.width,canvas.height);
   if (!gameState) { drawWaiting(); return; }
 
+  const view = interpolatedView();
+  followCamera = spectatorCamera(view);
+  if (followCamera) {
+    const { zoom, x, y } = followCamera;
+    ctx.setTransform(zoom, 0, 0, zoom, -x * zoom, -y * zoom);
+  }
+
   drawMap();
 
-  // Players
-  for (const p of gameState.players) if (p.alive) drawTank(p.x,p.y,p.dir,p.color,p.shield,p.moving,false, p.id===myId);
+  // Players (our own tank at its predicted position, everyone else interpolated)
+  const players = view.players.map(p => p.id===myId && predicted ? { ...p, ...smoothedPrediction() } : p);
+  for (const p of players) if (p.alive) {
+    if (p.away) ctx.globalAlpha = 0.4;   // dropped connection, waiting to reconnect
+    drawTank(p.x,p.y,p.dir,p.color,p.shield,p.moving,false, p.id===myId, p.stars||0);
+    ctx.globalAlpha = 1;
+  }
 
   // DM bots (rendered like enemy tanks)
-  if (gameState.bots) for (const b of gameState.bots) if (b.alive) drawTank(b.x,b.y,b.dir,b.color,b.shield,b.moving,true, false);
+  if (view.bots) for (const b of view.bots) if (b.alive) drawTank(b.x,b.y,b.dir,b.color,b.shield,b.moving,true, false);
 
-  // Classic enemies
-  for (const e of gameState.enemies) if (e.alive) drawTank(e.x,e.y,e.dir,'#CC2222',false,e.moving,true,false);
+  // Classic enemies (bonus carriers flash)
+  for (const e of view.enemies) if (e.alive) {
+    const base = e.type==='armored' ? ARMORED_HP_COLORS[Math.min(e.hp,4)] : (ENEMY_COLORS[e.type] || '#CC2222');
+    const col  = e.bonus && Math.floor(animTick/150)%2 ? '#FF66FF' : base;
+    drawTank(e.x,e.y,e.dir,col,false,e.moving,true,false);
+  }
 
   // Bullets
-  for (const b of gameState.bullets) drawBullet(b);
+  for (const b of view.bullets) drawBullet(b);
 
   drawBushLayer();
 
+  // Power-ups sit above bushes
+  if (gameState.powerups) for (const pu of gameState.powerups) drawPowerup(pu);
+
   // DM: draw player name tags
-  if (gameState.mode==='deathmatch'||gameState.mode==='deathmatch_bots') {
-    const scale = parseFloat(canvas.style.width) / canvas.width || 1;
-    drawNameTags(gameState.players, gameState.bots||[], scale);
+  if (isDMMode(gameState.mode)) {
+    const scale = (parseFloat(canvas.style.width) / canvas.width || 1) * (followCamera ? followCamera.zoom : 1);
+    drawNameTags(players, view.bots||[], scale);
+  }
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+  // Coop campaign / capture-the-eagle round intermission
+  if (gameState.intermission > 0) {
+    if (gameState.roundWins) drawBanner(`ROUND ${gameState.round}`, `RED ${gameState.roundWins.red} — ${gameState.roundWins.blue} BLUE`);
+    else                     drawBanner(`STAGE ${gameState.stage}`, gameState.mapName);
   }
+
+  if (spectating) drawSpectatorLabel(view);
+}
+
+// ── Spectator camera ──────────────────────────────────────
+// Following a tank zooms in on it; otherwise spectators see the whole map.
+const FOLLOW_ZOOM = 2;
+let followCamera = null;   // { zoom, x, y } used for the last frame, null = whole map
+
+function followableTanks(view) {
+  return [...view.players, ...(view.bots||[])].filter(t => t.alive);
+}
+
+function spectatorCamera(view) {
+  if (!spectating || !followId) return null;
+  const t = followableTanks(view).find(t => t.id === followId);
+  if (!t) return null;   // dead or gone — show the whole map until it respawns
+  const w = canvas.width / FOLLOW_ZOOM, h = canvas.height / FOLLOW_ZOOM;
+  return {
+    zoom: FOLLOW_ZOOM,
+    x: Math.max(0, Math.min(canvas.width  - w, t.x + TANK_SIZE/2 - w/2)),
+    y: Math.max(0, Math.min(canvas.height - h, t.y + TANK_SIZE/2 - h/2)),
+  };
+}
+
+// Click a tank to follow it; click anywhere else to go back to the whole map
+canvas.addEventListener('click', e => {
+  if (!spectating || !gameState) return;
+  const r = canvas.getBoundingClientRect();
+  let x = (e.clientX - r.left) * canvas.width  / r.width;
+  let y = (e.clientY - r.top)  * canvas.height / r.height;
+  if (followCamera) { x = x / followCamera.zoom + followCamera.x; y = y / followCamera.zoom + followCamera.y; }
+  const pad = 4;   // tanks are small — be generous
+  const hit = followableTanks(interpolatedView()).find(t =>
+    x >= t.x - pad && x <= t.x + TANK_SIZE + pad && y >= t.y - pad && y <= t.y + TANK_SIZE + pad);
+  followId = hit ? hit.id : null;
+});
+
+function cycleFollow() {
+  if (!gameState) return;
+  const tanks = followableTanks(gameState);
+  if (!tanks.length) { followId = null; return; }
+  const i = tanks.findIndex(t => t.id === followId);
+  followId = i === tanks.length - 1 ? null : tanks[i + 1].id;   // after the last tank: whole map
+}
+
+function drawSpectatorLabel(view) {
+  const t = followCamera && followableTanks(view).find(t => t.id === followId);
+  ctx.save();
+  ctx.font = '6px "Press Start 2P"'; ctx.textAlign = 'left';
+  ctx.fillStyle = 'rgba(0,0,0,0.6)'; ctx.fillRect(0, 0, canvas.width, 12);
+  ctx.fillStyle = '#FFD700';
+  ctx.fillText(t ? `👁 FOLLOWING ${t.name || 'BOT'}` : '👁 SPECTATING', 4, 9);
+  ctx.restore();
 }
 
 function drawNameTags(players, bots, scale) {
@@ -500,7 +904,8 @@ function drawNameTags(players, bots, scale) {
     if (!p.alive) continue;
     const tx = p.x + TANK_SIZE/2;
     const ty = p.y - 3;
-    ctx.fillStyle = p.isBot ? 'rgba(200,50,50,0.9)' : (p.id===myId ? '#FFD700' : 'rgba(255,255,255,0.8)');
+    ctx.fillStyle = p.team ? TEAM_LABEL_COLORS[p.team]
+      : p.isBot ? 'rgba(200,50,50,0.9)' : (p.id===myId ? '#FFD700' : 'rgba(255,255,255,0.8)');
     ctx.fillText(p.name.slice(0,6), tx, ty);
     // frag count
     ctx.fillStyle = '#44FF88';
@@ -519,6 +924,13 @@ function drawWaiting() {
   drawTankPixel(canvas.width/2-7, canvas.height/2+40+Math.sin(animTick/300)*4, 0,'#FFD700',false);
 }
 
+function drawBanner(title, sub) {
+  ctx.fillStyle='#666'; ctx.fillRect(0,0,canvas.width,canvas.height);
+  ctx.fillStyle='#000'; ctx.font='10px "Press Start 2P"'; ctx.textAlign='center';
+  ctx.fillText(title, canvas.width/2, canvas.height/2);
+  if (sub) { ctx.font='6px "Press Start 2P"'; ctx.fillText(sub.toUpperCase(), canvas.width/2, canvas.height/2+16); }
+}
+
 function drawMap() {
   if (!mapData) return;
   for (let r=0;r<ROWS;r++) for (let c=0;c<COLS;c++) {
@@ -534,41 +946,69 @@ function drawBushLayer() {
     if(mapData[r*COLS+c]===4) drawTile(c*TILE,r*TILE,4);
 }
 
-function drawTile(px,py,type) {
+// g: canvas context to draw on (the map editor passes its own)
+function drawTile(px,py,type,g=ctx) {
+  // Broken brick: the whole brick, clipped to the quarters still standing
+  if (type > Movement.BRICK_PART) {
+    const mask = Movement.brickMask(type), q = TILE/2;
+    g.save(); g.beginPath();
+    for (let i = 0; i < 4; i++) if (mask & (1 << i)) g.rect(px + (i & 1) * q, py + (i >> 1) * q, q, q);
+    g.clip(); drawTile(px, py, 1, g); g.restore();
+    return;
+  }
   const c=TILE_COLORS[type]; if(!c) return;
   if(type===1){
-    ctx.fillStyle=c.main; ctx.fillRect(px,py,TILE,TILE);
-    ctx.fillStyle=c.dark;
-    ctx.fillRect(px,py+7,TILE,2); ctx.fillRect(px+7,py,2,7);
-    ctx.fillRect(px+3,py+9,2,7); ctx.fillRect(px+11,py+9,2,7);
+    g.fillStyle=c.main; g.fillRect(px,py,TILE,TILE);
+    g.fillStyle=c.dark;
+    g.fillRect(px,py+7,TILE,2); g.fillRect(px+7,py,2,7);
+    g.fillRect(px+3,py+9,2,7); g.fillRect(px+11,py+9,2,7);
   } else if(type===2){
-    ctx.fillStyle=c.dark; ctx.fillRect(px,py,TILE,TILE);
-    ctx.fillStyle=c.main; ctx.fillRect(px+1,py+1,TILE-2,TILE-2);
-    ctx.fillStyle=c.light; ctx.fillRect(px+1,py+1,TILE-2,2); ctx.fillRect(px+1,py+1,2,TILE-2);
-    ctx.fillStyle=c.dark; ctx.fillRect(px+1,py+TILE-3,TILE-2,2); ctx.fillRect(px+TILE-3,py+1,2,TILE-2);
-    ctx.fillRect(px+TILE/2-1,py+2,2,TILE-4); ctx.fillRect(px+2,py+TILE/2-1,TILE-4,2);
+    g.fillStyle=c.dark; g.fillRect(px,py,TILE,TILE);
+    g.fillStyle=c.main; g.fillRect(px+1,py+1,TILE-2,TILE-2);
+    g.fillStyle=c.light; g.fillRect(px+1,py+1,TILE-2,2); g.fillRect(px+1,py+1,2,TILE-2);
+    g.fillStyle=c.dark; g.fillRect(px+1,py+TILE-3,TILE-2,2); g.fillRect(px+TILE-3,py+1,2,TILE-2);
+    g.fillRect(px+TILE/2-1,py+2,2,TILE-4); g.fillRect(px+2,py+TILE/2-1,TILE-4,2);
   } else if(type===3){
     const w=Math.floor(animTick/400)%2;
-    ctx.fillStyle=c.main; ctx.fillRect(px,py,TILE,TILE);
-    ctx.fillStyle=c.light;
-    if(w===0){ctx.fillRect(px+1,py+3,6,2);ctx.fillRect(px+9,py+11,6,2);}
-    else{ctx.fillRect(px+5,py+7,6,2);ctx.fillRect(px+1,py+11,6,2);}
+    g.fillStyle=c.main; g.fillRect(px,py,TILE,TILE);
+    g.fillStyle=c.light;
+    if(w===0){g.fillRect(px+1,py+3,6,2);g.fillRect(px+9,py+11,6,2);}
+    else{g.fillRect(px+5,py+7,6,2);g.fillRect(px+1,py+11,6,2);}
   } else if(type===4){
-    ctx.fillStyle=c.dark; ctx.fillRect(px,py,TILE,TILE);
-    ctx.fillStyle=c.main;
-    ctx.fillRect(px+1,py+1,6,6); ctx.fillRect(px+9,py+1,6,6);
-    ctx.fillRect(px+5,py+5,6,6); ctx.fillRect(px+1,py+9,6,6); ctx.fillRect(px+9,py+9,6,6);
-    ctx.fillStyle=c.light; ctx.fillRect(px+2,py+2,2,2); ctx.fillRect(px+10,py+2,2,2);
+    g.fillStyle=c.dark; g.fillRect(px,py,TILE,TILE);
+    g.fillStyle=c.main;
+    g.fillRect(px+1,py+1,6,6); g.fillRect(px+9,py+1,6,6);
+    g.fillRect(px+5,py+5,6,6); g.fillRect(px+1,py+9,6,6); g.fillRect(px+9,py+9,6,6);
+    g.fillStyle=c.light; g.fillRect(px+2,py+2,2,2); g.fillRect(px+10,py+2,2,2);
+  } else if(type===6){
+    g.fillStyle=c.main; g.fillRect(px,py,TILE,TILE);
+    g.fillStyle=c.dark; g.fillRect(px,py+TILE-1,TILE,1); g.fillRect(px+TILE-1,py,1,TILE);
+    // diagonal glints
+    g.fillStyle=c.light;
+    for(let i=0;i<4;i++){g.fillRect(px+2+i,py+6-i,1,1);g.fillRect(px+9+i,py+13-i,1,1);}
   }
 }
 
-function drawEagle(px,py) {
+function drawEagle(px,py,g=ctx) {
   const px2=['  XXXXX  ',' XXXXXXX ','XXXXXXXXX','X XXXXX X','XX     XX','XXXXXXXXX',' XXXXXXX ','  XXXXX  '];
   for(let r=0;r<px2.length;r++) for(let c=0;c<px2[r].length;c++)
-    if(px2[r][c]==='X'){ctx.fillStyle=(r+c)%2===0?'#FFD700':'#FF8C00';ctx.fillRect(px+c*2-2,py+r*2,2,2);}
+    if(px2[r][c]==='X'){g.fillStyle=(r+c)%2===0?'#FFD700':'#FF8C00';g.fillRect(px+c*2-2,py+r*2,2,2);}
+}
+
+function drawPowerup(pu) {
+  // Blink faster in the last 3 seconds
+  const rate = pu.ttl < 3000 ? 100 : 300;
+  if (Math.floor(animTick/rate)%2) return;
+  const spr = POWERUP_SPRITES[pu.type]; if (!spr) return;
+  ctx.fillStyle='#FFF'; ctx.fillRect(pu.x,pu.y,TILE,TILE);
+  ctx.fillStyle='#C00'; ctx.fillRect(pu.x+1,pu.y+1,TILE-2,TILE-2);
+  ctx.fillStyle='#FFF';
+  for(let r=0;r<spr.length;r++) for(let c=0;c<spr[r].length;c++)
+    if(spr[r][c]==='X') ctx.fillRect(pu.x+1+c*2,pu.y+1+r*2,2,2);
 }
 
-function drawTank(x,y,dir,color,shielded,moving,isEnemy,isMe) {
+// tier = player star level 0..3: longer barrel, then twin barrel, then armour plating
+function drawTank(x,y,dir,color,shielded,moving,isEnemy,isMe,tier=0) {
   ctx.save();
   ctx.translate(x+TANK_SIZE/2, y+TANK_SIZE/2);
   ctx.rotate(dir*Math.PI/2);
@@ -579,8 +1019,18 @@ function drawTank(x,y,dir,color,shielded,moving,isEnemy,isMe) {
   ctx.fillStyle='#555';
   const off=moving?Math.floor(animTick/80)%3:0;
   for(let i=0;i<4;i++){ctx.fillRect(-hs+1,-hs+((i*4+off)%s),1,2);ctx.fillRect(hs-2,-hs+((i*4+off)%s),1,2);}
-  ctx.fillStyle=darken(color,0.2); ctx.fillRect(-3,-3,6,6);
-  ctx.fillStyle=darken(color,0.4); ctx.fillRect(-1.5,-hs-2,3,hs);
+  const tur=tier>=2?8:6;
+  ctx.fillStyle=darken(color,0.2); ctx.fillRect(-tur/2,-tur/2,tur,tur);
+  ctx.fillStyle=darken(color,0.4);
+  const blen=hs+(tier>=1?2:0);
+  if(tier>=2){ ctx.fillRect(-2.5,-hs-2-(blen-hs),2,blen); ctx.fillRect(0.5,-hs-2-(blen-hs),2,blen); }
+  else       { ctx.fillRect(-1.5,-hs-2-(blen-hs),3,blen); }
+  if(tier>=3){
+    ctx.fillStyle='#FFF';
+    ctx.fillRect(-hs+3,-hs+1,1,1); ctx.fillRect(hs-4,-hs+1,1,1);
+    ctx.fillRect(-hs+3,hs-4,1,1);  ctx.fillRect(hs-4,hs-4,1,1);
+    ctx.fillStyle=darken(color,0.5); ctx.fillRect(-hs+3,hs-3,s-6,1);
+  }
   ctx.restore();
   // Shield
   if(shielded&&Math.floor(animTick/100)%2){
@@ -613,6 +1063,90 @@ function darken(hex,a){
 }
 function escHtml(s){return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');}
 
+// ── Replay playback ───────────────────────────────────────
+// Replays (see replay.js) are a keyframe plus deltas; we rebuild every frame
+// up front and then just pick the one for the playback clock each animation frame.
+let replay = null;   // { states, start, length, pos, playing, speed, last, shown }
+
+async function playReplay(id) {
+  let data;
+  try {
+    const res = await fetch('/api/replays/' + encodeURIComponent(id));
+    if (!res.ok) throw new Error(res.status);
+    data = await res.json();
+  } catch(e) { alert('Error: replay not available'); return; }
+
+  const states = [];
+  for (const f of data.frames) states.push(states.length ? StateDelta.applyDelta(states[states.length - 1], f) : f);
+  if (!states.length) { alert('Error: replay is empty'); return; }
+
+  const first = states[0];
+  replay = {
+    states, start: first.time, length: states[states.length - 1].time - first.time,
+    pos: 0, playing: true, speed: 1, last: performance.now(), shown: -1,
+  };
+  myId = null; currentRoomId = null; currentMode = first.mode || 'coop';
+  resetNetSync();
+  COLS = first.cols; ROWS = first.rows;
+  canvas.width = COLS * TILE; canvas.height = ROWS * TILE; ctx.imageSmoothingEnabled = false;
+
+  document.getElementById('replayBar').style.display = '';
+  document.getElementById('replaySeek').max = replay.length;
+  document.getElementById('replayPlayBtn').textContent = '❚❚';
+  document.getElementById('replaySpeed').value = '1';
+  updateModeUI();
+  showScreen('gameScreen');
+  resizeCanvas();
+  requestAnimationFrame(gameLoop);
+  addChatMessage('system', `Replay: ${data.roomName || 'match'} — ${data.mapName || ''}`);
+}
+
+// Advance the playback clock and show the frame for it
+function advanceReplay() {
+  const now = performance.now();
+  if (replay.playing) replay.pos = Math.min(replay.length, replay.pos + (now - replay.last) * replay.speed);
+  replay.last = now;
+  if (replay.pos >= replay.length) { replay.playing = false; document.getElementById('replayPlayBtn').textContent = '▶'; }
+
+  // Last frame at or before the playback position
+  const t = replay.start + replay.pos;
+  let lo = 0, hi = replay.states.length - 1;
+  while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (replay.states[mid].time <= t) lo = mid; else hi = mid - 1; }
+  if (lo === replay.shown) return;
+  replay.shown = lo;
+
+  const state = replay.states[lo];
+  gameState = state;
+  mapData   = state.mapData;
+  if (state.cols !== COLS || state.rows !== ROWS) {
+    COLS = state.cols; ROWS = state.rows;
+    canvas.width = COLS * TILE; canvas.height = ROWS * TILE; ctx.imageSmoothingEnabled = false;
+    resizeCanvas();
+  }
+  updateHUD(state);
+  document.getElementById('replaySeek').value = replay.pos;
+  const clock = ms => { const s = Math.floor(ms / 1000); return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`; };
+  document.getElementById('replayTime').textContent = `${clock(replay.pos)} / ${clock(replay.length)}`;
+}
+
+function toggleReplay() {
+  if (!replay) return;
+  if (!replay.playing && replay.pos >= replay.length) replay.pos = 0;   // play again from the start
+  replay.playing = !replay.playing;
+  document.getElementById('replayPlayBtn').textContent = replay.playing ? '❚❚' : '▶';
+}
+function seekReplay(ms)       { if (replay) { replay.pos = Number(ms); replay.shown = -1; } }
+function setReplaySpeed(x)    { if (replay) replay.speed = Number(x); }
+
+function exitReplay() {
+  replay = null;
+  document.getElementById('replayBar').style.display = 'none';
+  history.replaceState(null, '', location.pathname);
+  gameState = null; mapData = null; currentMode = 'coop'; myId = socket.id;
+  showScreen('lobbyScreen');
+  loadLeaderboard();
+}
+
 // ── Leaderboard ───────────────────────────────────────────
 async function loadLeaderboard() {
   try {
@@ -676,7 +1210,7 @@ function renderRecentGames(games) {
     el.innerHTML = '<div class="lb-loading">NO GAMES PLAYED YET</div>'; return;
   }
 
-  const modeLabel = m => ({coop:'CO-OP',deathmatch:'DM',deathmatch_bots:'DM+BOT'}[m]||m||'?');
+  const modeLabel = m => ({coop:'CO-OP',deathmatch:'DM',deathmatch_bots:'DM+BOT',team_deathmatch:'TDM',capture_eagle:'CTE'}[m]||m||'?');
   const timeAgo = ts => {
     const s = Math.floor((Date.now()-ts)/1000);
     if (s<60)  return `${s}s ago`;
@@ -697,6 +1231,7 @@ function renderRecentGames(games) {
         <span class="lb-game-room">${escHtml(g.room_name||'Room')}</span>
         <span class="lb-game-mode ${g.mode}">${modeLabel(g.mode)}</span>
         <span class="lb-game-time">${timeAgo(g.ts)}</span>
+        ${g.replay_id ? `<span class="lb-game-replay" onclick="playReplay('${escHtml(g.replay_id)}')">▶ REPLAY</span>` : ''}
       </div>
       <div class="lb-game-players">${playerChips}</div>
     </div>`;
@@ -716,4 +1251,12 @@ function startLeaderboardPolling() {
 // ── Boot ──────────────────────────────────────────────────
 setupTouchControls();
 resizeCanvas();
-startLeaderboardPolling();
\ No newline at end of file
+startLeaderboardPolling();
+
+// Shared replay link: /?replay=<id>
+const replayParam = new URLSearchParams(location.search).get('replay');
+if (replayParam) playReplay(replayParam);
+
+// Shared room link — the only way into hidden rooms: /?room=<id>
+const roomParam = new URLSearchParams(location.search).get('room');
+if (roomParam && !replayParam) socket.once('registered', () => joinRoomById(roomParam));
\ No newline at end of file
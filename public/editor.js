@@ -0,0 +1,213 @@
+'use strict';
+
+// ── Map editor ────────────────────────────────────────────
+// Paints a map in the maps/*.json format (see maps/README.md). TEST PLAY runs
+// it in a throwaway hidden room against bots; SAVE posts it to /api/maps, after
+// which it is in everyone's map list. Drawing, the socket and screen switching
+// come from client.js.
+
+const ED_TILE_CHARS = ['.', '1', '2', '3', '4', '5', '6'];
+const ED_SPAWN_TILES = new Set([0, 4, 6]);   // tiles a tank can spawn on
+const ED_TOOLS = [
+  { id: 1, label: 'BRICK' }, { id: 2, label: 'STEEL' }, { id: 3, label: 'WATER' },
+  { id: 4, label: 'BUSH' },  { id: 6, label: 'ICE' },   { id: 5, label: 'EAGLE' },
+  { id: 0, label: 'ERASE' },
+  { id: 'spawnPoints',   label: 'PLAYER SPAWN', mark: 'P', color: '#FFD700' },
+  { id: 'enemySpawns',   label: 'ENEMY SPAWN',  mark: 'E', color: '#FF4444' },
+  { id: 'dmSpawnPoints', label: 'DM SPAWN',     mark: 'D', color: '#44AAFF' },
+];
+// Spawn lists each mode uses — the others are hidden and not saved
+const ED_MODE_SPAWNS = {
+  coop:            ['spawnPoints', 'enemySpawns'],
+  deathmatch:      ['dmSpawnPoints'],
+  deathmatch_bots: ['dmSpawnPoints'],
+  team_deathmatch: ['dmSpawnPoints'],
+};
+
+const edCanvas = document.getElementById('editorCanvas');
+const edCtx    = edCanvas.getContext('2d');
+let ed       = null;   // { cols, rows, grid, spawns: { spawnPoints: [{x,y}], ... } }
+let edTool   = 1;
+let edPaint  = null;   // tile being painted while the pointer is down
+
+function openEditor() {
+  if (!ed) newEditorMap(26, 26);
+  renderEditorTools();
+  showScreen('editorScreen');
+  fitEditorCanvas();
+  drawEditor();
+}
+
+function closeEditor() { showScreen('lobbyScreen'); }
+
+function newEditorMap(cols, rows) {
+  ed = { cols, rows, grid: new Array(cols * rows).fill(0), spawns: { spawnPoints: [], enemySpawns: [], dmSpawnPoints: [] } };
+  document.getElementById('edCols').value = cols;
+  document.getElementById('edRows').value = rows;
+}
+
+function clearEditorMap() {
+  if (confirm('CLEAR THE WHOLE MAP?')) { newEditorMap(ed.cols, ed.rows); drawEditor(); }
+}
+
+// New size: keep what fits, drop the rest
+function resizeEditorMap() {
+  const clamp = id => Math.max(8, Math.min(64, parseInt(document.getElementById(id).value) || 26));
+  const cols = clamp('edCols'), rows = clamp('edRows');
+  const old  = ed;
+  newEditorMap(cols, rows);
+  for (let y = 0; y < Math.min(rows, old.rows); y++)
+    for (let x = 0; x < Math.min(cols, old.cols); x++) ed.grid[y * cols + x] = old.grid[y * old.cols + x];
+  for (const k in old.spawns) ed.spawns[k] = old.spawns[k].filter(p => p.x < cols && p.y < rows);
+  fitEditorCanvas();
+  drawEditor();
+}
+
+function editorMode() { return document.getElementById('edMode').value; }
+
+function editorModeChanged() {
+  if (!ED_MODE_SPAWNS[editorMode()].includes(edTool) && typeof edTool === 'string') edTool = 1;
+  renderEditorTools();
+  drawEditor();
+}
+
+function renderEditorTools() {
+  const spawns = ED_MODE_SPAWNS[editorMode()];
+  document.getElementById('edTools').innerHTML = ED_TOOLS
+    .filter(t => typeof t.id === 'number' || spawns.includes(t.id))
+    .map(t => `<button class="ed-tool ${t.id === edTool ? 'active' : ''}" onclick="pickEditorTool('${t.id}')">${t.label}</button>`)
+    .join('');
+}
+
+function pickEditorTool(id) {
+  edTool = /^\d$/.test(id) ? Number(id) : id;
+  renderEditorTools();
+}
+
+function fitEditorCanvas() {
+  edCanvas.width  = ed.cols * TILE;
+  edCanvas.height = ed.rows * TILE;
+  edCtx.imageSmoothingEnabled = false;
+  const scale = Math.min(2, (window.innerWidth - 240) / edCanvas.width, (window.innerHeight - 30) / edCanvas.height);
+  edCanvas.style.width  = Math.floor(edCanvas.width  * scale) + 'px';
+  edCanvas.style.height = Math.floor(edCanvas.height * scale) + 'px';
+}
+
+// ── Painting ──────────────────────────────────────────────
+function editorCell(e) {
+  const r = edCanvas.getBoundingClientRect();
+  const x = Math.floor((e.clientX - r.left) / r.width  * ed.cols);
+  const y = Math.floor((e.clientY - r.top)  / r.height * ed.rows);
+  return x >= 0 && y >= 0 && x < ed.cols && y < ed.rows ? { x, y } : null;
+}
+
+function paintCell(x, y, tile) {
+  ed.grid[y * ed.cols + x] = tile;
+  // Spawns can't sit on anything a tank can't drive on
+  if (!ED_SPAWN_TILES.has(tile)) for (const k in ed.spawns) ed.spawns[k] = ed.spawns[k].filter(p => p.x !== x || p.y !== y);
+}
+
+function toggleSpawn(list, x, y) {
+  const pts = ed.spawns[list];
+  const i   = pts.findIndex(p => p.x === x && p.y === y);
+  if (i >= 0) { pts.splice(i, 1); return; }
+  pts.push({ x, y });
+  if (!ED_SPAWN_TILES.has(ed.grid[y * ed.cols + x])) ed.grid[y * ed.cols + x] = 0;
+}
+
+edCanvas.addEventListener('pointerdown', e => {
+  const c = editorCell(e); if (!c) return;
+  if (typeof edTool === 'string') toggleSpawn(edTool, c.x, c.y);
+  else { edPaint = edTool; paintCell(c.x, c.y, edPaint); edCanvas.setPointerCapture(e.pointerId); }
+  drawEditor();
+});
+edCanvas.addEventListener('pointermove', e => {
+  if (edPaint === null) return;
+  const c = editorCell(e); if (!c) return;
+  paintCell(c.x, c.y, edPaint);
+  drawEditor();
+});
+edCanvas.addEventListener('pointerup', () => { edPaint = null; });
+
+// ── Drawing ───────────────────────────────────────────────
+function drawEditor() {
+  edCtx.fillStyle = '#000'; edCtx.fillRect(0, 0, edCanvas.width, edCanvas.height);
+  for (let y = 0; y < ed.rows; y++) for (let x = 0; x < ed.cols; x++) {
+    const t = ed.grid[y * ed.cols + x];
+    if (t === 5) drawEagle(x * TILE, y * TILE, edCtx);
+    else if (t) drawTile(x * TILE, y * TILE, t, edCtx);
+  }
+
+  // Faint grid, stronger every 2 tiles (a tank-sized block)
+  for (let x = 0; x <= ed.cols; x++) {
+    edCtx.fillStyle = x % 2 ? 'rgba(255,255,255,0.05)' : 'rgba(255,255,255,0.12)';
+    edCtx.fillRect(x * TILE, 0, 1, edCanvas.height);
+  }
+  for (let y = 0; y <= ed.rows; y++) {
+    edCtx.fillStyle = y % 2 ? 'rgba(255,255,255,0.05)' : 'rgba(255,255,255,0.12)';
+    edCtx.fillRect(0, y * TILE, edCanvas.width, 1);
+  }
+
+  edCtx.font = '8px "Press Start 2P"'; edCtx.textAlign = 'center'; edCtx.textBaseline = 'middle';
+  for (const list of ED_MODE_SPAWNS[editorMode()]) {
+    const tool = ED_TOOLS.find(t => t.id === list);
+    edCtx.strokeStyle = edCtx.fillStyle = tool.color;
+    for (const p of ed.spawns[list]) {
+      edCtx.strokeRect(p.x * TILE + 1.5, p.y * TILE + 1.5, TILE - 3, TILE - 3);
+      edCtx.fillText(tool.mark, p.x * TILE + TILE / 2, p.y * TILE + TILE / 2 + 1);
+    }
+  }
+  updateEditorStatus();
+}
+
+function updateEditorStatus() {
+  const eagles = ed.grid.filter(t => t === 5).length;
+  const lines  = ED_MODE_SPAWNS[editorMode()].map(list => {
+    const tool = ED_TOOLS.find(t => t.id === list);
+    return `${tool.label}S: ${ed.spawns[list].length}`;
+  });
+  if (editorMode() === 'coop') lines.push(`EAGLE TILES: ${eagles}`);
+  document.getElementById('edStatus').innerHTML = lines.join('<br>');
+}
+
+// ── Test / save ───────────────────────────────────────────
+// The map in the maps/*.json format
+function editorMapData() {
+  const map = {
+    name:  document.getElementById('edName').value.trim().toUpperCase() || 'UNTITLED',
+    mode:  editorMode(),
+    cols:  ed.cols,
+    rows:  ed.rows,
+    tiles: [],
+  };
+  for (let y = 0; y < ed.rows; y++) {
+    map.tiles.push(ed.grid.slice(y * ed.cols, (y + 1) * ed.cols).map(t => ED_TILE_CHARS[t]).join(''));
+  }
+  for (const list of ED_MODE_SPAWNS[map.mode]) map[list] = ed.spawns[list];
+  return map;
+}
+
+// Play it in a hidden room (DM maps get bots); leaving comes back here
+function testEditorMap() {
+  socket.emit('testMap', { map: editorMapData() });
+}
+
+async function saveEditorMap() {
+  const map = editorMapData();
+  try {
+    const res  = await fetch('/api/maps', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ uid: getStoredUID(), author: document.getElementById('playerName').value.trim().toUpperCase(), map }),
+    });
+    const data = await res.json();
+    if (!res.ok) { alert('CAN\'T SAVE: ' + data.error); return; }
+    alert(`SAVED — "${data.name}" IS IN THE MAP LIST`);
+  } catch (e) {
+    alert('CAN\'T SAVE: server unreachable');
+  }
+}
+
+window.addEventListener('resize', () => {
+  if (ed && document.getElementById('editorScreen').classList.contains('active')) fitEditorCanvas(), drawEditor();
+});
@@ -0,0 +1,103 @@
+'use strict';
+// Tank movement and tile collision, shared by the server (game-logic.js) and
+// the browser (client.js predicts the local tank with the same code).
+// A "world" is anything with { mapData, cols, rows } — a GameRoom on the
+// server, the last gameState on the client.
+
+(function (exports) {
+  const TILE_SIZE  = 16;
+  const TANK_SIZE  = 14;
+  const TANK_SPEED = 1.5;
+  const DX = [0, 1, 0, -1];
+  const DY = [-1, 0, 1, 0];
+
+  // Tanks drive over empty, bush and ice; brick, steel, water and the eagle block them.
+  const TANK_PASSABLE = new Set([0, 4, 6]);
+  const ICE_SLIDE_PX  = 12;   // how far a tank keeps sliding on ice after it stops
+
+  // Bricks break in 8×8 quarters. A whole brick is tile 1; a broken one is
+  // BRICK_PART + mask of the quarters still standing (bit 0 top-left,
+  // 1 top-right, 2 bottom-left, 3 bottom-right). mapData holds this same
+  // encoding on the server and in every state sent to clients.
+  const BRICK_PART = 16;
+  const BRICK_FULL = 0xF;
+  const QUARTER    = TILE_SIZE / 2;
+
+  function brickMask(tile) { return tile === 1 ? BRICK_FULL : tile > BRICK_PART ? tile - BRICK_PART : 0; }
+  function brickTile(mask) { return mask === BRICK_FULL ? 1 : mask ? BRICK_PART + mask : 0; }
+
+  // Standing quarters of the brick at (tx, ty) that a size×size box at (x, y) overlaps
+  function brickQuarters(mask, tx, ty, x, y, size) {
+    let hit = 0;
+    for (let q = 0; q < 4; q++) {
+      if (!(mask & (1 << q))) continue;
+      const qx = tx * TILE_SIZE + (q & 1) * QUARTER, qy = ty * TILE_SIZE + (q >> 1) * QUARTER;
+      if (x < qx + QUARTER && x + size > qx && y < qy + QUARTER && y + size > qy) hit |= 1 << q;
+    }
+    return hit;
+  }
+
+  function collidesWithTiles(world, x, y) {
+    const x1 = Math.floor(x / TILE_SIZE),                   y1 = Math.floor(y / TILE_SIZE);
+    const x2 = Math.floor((x + TANK_SIZE - 1) / TILE_SIZE), y2 = Math.floor((y + TANK_SIZE - 1) / TILE_SIZE);
+    for (let ty = y1; ty <= y2; ty++) for (let tx = x1; tx <= x2; tx++) {
+      if (tx < 0 || ty < 0 || tx >= world.cols || ty >= world.rows) return true;
+      const tile = world.mapData[ty * world.cols + tx];
+      if (TANK_PASSABLE.has(tile)) continue;
+      // A broken brick only blocks where it still stands
+      const mask = brickMask(tile);
+      if (!mask || brickQuarters(mask, tx, ty, x, y, TANK_SIZE)) return true;
+    }
+    return false;
+  }
+
+  function onIce(world, entity) {
+    const tx = Math.floor((entity.x + TANK_SIZE / 2) / TILE_SIZE);
+    const ty = Math.floor((entity.y + TANK_SIZE / 2) / TILE_SIZE);
+    return world.mapData[ty * world.cols + tx] === 6;
+  }
+
+  // Move by (dx, dy) unless a tile or another tank is in the way.
+  // blockedByTank(entity, nx, ny) decides tank-vs-tank overlap.
+  function tryMove(world, entity, dx, dy, blockedByTank) {
+    const nx = entity.x + dx, ny = entity.y + dy;
+    if (nx < 0 || ny < 0 || nx + TANK_SIZE > world.cols * TILE_SIZE || ny + TANK_SIZE > world.rows * TILE_SIZE) return;
+    if (collidesWithTiles(world, nx, ny) || blockedByTank(entity, nx, ny)) return;
+    entity.x = nx; entity.y = ny;
+  }
+
+  // One step of a slide in `dir`: carries on until ICE_SLIDE_PX runs out, the tank
+  // leaves the ice or something blocks it. Updates x, y and slide.
+  function slideTank(world, t, dir, blockedByTank) {
+    const step = Math.min(t.speed, t.slide);
+    const prevX = t.x, prevY = t.y;
+    tryMove(world, t, DX[dir] * step, DY[dir] * step, blockedByTank);
+    const blocked = t.x === prevX && t.y === prevY;
+    t.slide = (!blocked && onIce(world, t)) ? t.slide - step : 0;
+  }
+
+  // One input step for a player tank: turn + move, or keep sliding on ice.
+  // (Bots and enemies keep the same slide state: GameRoom._aiMove / _aiCoast.)
+  // Updates x, y, dir and slide; returns whether a direction was held.
+  function stepTank(world, p, input, blockedByTank) {
+    let dir = -1;
+    if      (input.up)    dir = 0;
+    else if (input.down)  dir = 2;
+    else if (input.left)  dir = 3;
+    else if (input.right) dir = 1;
+
+    if (dir >= 0) {
+      p.dir = dir;
+      tryMove(world, p, DX[dir] * p.speed, DY[dir] * p.speed, blockedByTank);
+      p.slide = onIce(world, p) ? ICE_SLIDE_PX : 0;
+      return true;
+    }
+    if (p.slide > 0) slideTank(world, p, p.dir, blockedByTank);
+    return false;
+  }
+
+  Object.assign(exports, {
+    TILE_SIZE, TANK_SIZE, TANK_SPEED, TANK_PASSABLE, ICE_SLIDE_PX, BRICK_PART, BRICK_FULL,
+    brickMask, brickTile, brickQuarters, collidesWithTiles, onIce, tryMove, slideTank, stepTank,
+  });
+})(typeof module !== 'undefined' ? module.exports : (window.Movement = {}));
@@ -0,0 +1,84 @@
+'use strict';
+// Delta encoding for gameState broadcasts, shared by the server and the browser.
+// The server diffs the current GameRoom.getState() against the last state a
+// client acknowledged (diffState); client.js rebuilds the full state (applyDelta).
+//
+// Delta shape (every part optional):
+//   set:      { key: value }           — changed top-level scalars / small objects
+//   tiles:    [[index, tile], ...]     — changed mapData cells
+//   mapData:  [...]                    — whole map, when most of it changed (new stage / round)
+//   players, bots, enemies, powerups, bullets:
+//             { upd: [{ id, ...changed fields }], del: [id, ...] }
+//             new entities are sent whole in upd
+
+(function (exports) {
+  const ENTITY_LISTS  = ['players', 'bots', 'enemies', 'powerups', 'bullets'];
+  const MAX_TILE_DIFF = 64;   // more changed tiles than this → resend the whole map
+
+  function same(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  function diffList(prev = [], next = []) {
+    const old = new Map(prev.map(e => [e.id, e]));
+    const upd = [];
+    for (const e of next) {
+      const o = old.get(e.id);
+      old.delete(e.id);
+      if (!o) { upd.push(e); continue; }
+      let ch = null;
+      for (const k in e) if (!same(o[k], e[k])) (ch || (ch = { id: e.id }))[k] = e[k];
+      if (ch) upd.push(ch);
+    }
+    if (!upd.length && !old.size) return null;
+    return { upd, del: [...old.keys()] };
+  }
+
+  function diffState(prev, next) {
+    const d = {};
+    for (const key in next) {
+      if (key === 'mapData' || ENTITY_LISTS.includes(key)) continue;
+      if (!same(prev[key], next[key])) (d.set || (d.set = {}))[key] = next[key];
+    }
+
+    if (prev.mapData.length !== next.mapData.length) {
+      d.mapData = next.mapData;
+    } else {
+      const tiles = [];
+      for (let i = 0; i < next.mapData.length; i++) {
+        if (prev.mapData[i] !== next.mapData[i]) tiles.push([i, next.mapData[i]]);
+      }
+      if (tiles.length > MAX_TILE_DIFF) d.mapData = next.mapData;
+      else if (tiles.length)            d.tiles   = tiles;
+    }
+
+    for (const key of ENTITY_LISTS) {
+      const ld = diffList(prev[key], next[key]);
+      if (ld) d[key] = ld;
+    }
+    return d;
+  }
+
+  // diffState's inverse: base + delta -> the full state
+  function applyDelta(base, d) {
+    const state = { ...base, ...d.set };
+    if (d.mapData) state.mapData = d.mapData;
+    else if (d.tiles) {
+      state.mapData = base.mapData.slice();
+      for (const [i, t] of d.tiles) state.mapData[i] = t;
+    }
+    for (const key of ENTITY_LISTS) {
+      const ld = d[key];
+      if (!ld) continue;
+      const byId = new Map((base[key] || []).map(e => [e.id, e]));
+      for (const id of ld.del) byId.delete(id);
+      for (const u of ld.upd)  byId.set(u.id, { ...byId.get(u.id), ...u });
+      state[key] = [...byId.values()];
+    }
+    return state;
+  }
+
+  Object.assign(exports, { diffState, applyDelta, ENTITY_LISTS });
+})(typeof module !== 'undefined' ? module.exports : (window.StateDelta = {}));
@@ -0,0 +1,39 @@
+'use strict';
+// Per-socket token buckets. Each message costs one token; tokens refill at
+// `perSec` up to `burst`. An empty bucket drops the message but still counts it,
+// so the balance goes negative — a client that keeps flooding sinks to -burst
+// and is reported as abusive, while a one-off burst just loses a few messages.
+// With `kick: false` the bucket only drops: it never goes into debt and is
+// never abusive (for traffic that legitimately arrives in big bursts).
+
+class TokenBucket {
+  constructor({ burst, perSec, kick = true }) {
+    this.burst  = burst;
+    this.perSec = perSec;
+    this.kick   = kick;
+    this.tokens = burst;
+    this.last   = Date.now();
+  }
+
+  // Spend a token; false when the message should be dropped
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.last) / 1000 * this.perSec);
+    this.last   = now;
+    if (!this.kick && this.tokens < 1) return false;
+    this.tokens--;
+    return this.tokens >= 0;
+  }
+
+  // Flooded well past the limit
+  get abusive() { return this.kick && this.tokens <= -this.burst; }
+}
+
+// One bucket per limited event: limits = { event: { burst, perSec } }
+function createBuckets(limits) {
+  const buckets = {};
+  for (const event in limits) buckets[event] = new TokenBucket(limits[event]);
+  return buckets;
+}
+
+module.exports = { TokenBucket, createBuckets };
@@ -0,0 +1,58 @@
+'use strict';
+// Match replays: periodic state snapshots, delta-encoded with public/state-delta.js
+// and gzipped to data/replays/<id>.json.gz. public/client.js plays them back
+// through the normal canvas renderer.
+//
+// File format (after gunzip):
+//   { version: 1, id, seed, roomName, mode, mapName, startedAt,
+//     frames: [fullState, delta, delta, ...] }   — each delta is against the frame before it
+// Frame timing comes from each state's `time` field.
+
+const fs   = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+const { diffState } = require('./public/state-delta');
+
+const REPLAY_DIR        = path.join(__dirname, 'data', 'replays');
+const REPLAY_EVERY      = 2;                // keep every 2nd broadcast (~15 fps)
+const MAX_REPLAY_FRAMES = 15 * 60 * 30;     // 30 minutes; later frames are dropped
+
+const gzip = util.promisify(zlib.gzip);
+
+class ReplayRecorder {
+  constructor(meta) {
+    this.meta      = meta;   // { seed, roomName, mode, mapName }
+    this.startedAt = Date.now();
+    this.id        = this.startedAt + '_' + Math.random().toString(36).slice(2, 8);
+    this.frames    = [];
+    this.prev      = null;
+    this.seen      = 0;
+  }
+
+  capture(state) {
+    if (this.seen++ % REPLAY_EVERY !== 0 && !state.gameOver) return;
+    if (this.frames.length >= MAX_REPLAY_FRAMES) return;
+    this.frames.push(this.prev ? diffState(this.prev, state) : state);
+    this.prev = state;
+  }
+
+  // Write the file, compressing on the thread pool so a long match doesn't stall
+  // every room's tick; resolves { id, size, frames }
+  async save() {
+    const id   = this.id;
+    const body = await gzip(JSON.stringify({
+      version: 1, id, ...this.meta, startedAt: this.startedAt, frames: this.frames,
+    }));
+    await fs.promises.mkdir(REPLAY_DIR, { recursive: true });
+    await fs.promises.writeFile(replayPath(id), body);
+    return { id, size: body.length, frames: this.frames.length };
+  }
+}
+
+// File for a replay id, or null if the id is malformed
+function replayPath(id) {
+  return /^[\w-]+$/.test(String(id)) ? path.join(REPLAY_DIR, id + '.json.gz') : null;
+}
+
+module.exports = { ReplayRecorder, replayPath };
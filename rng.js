@@ -0,0 +1,21 @@
+'use strict';
+// Seeded PRNG (mulberry32). GameRoom draws all AI and spawn randomness from
+// one of these, so a match replays identically from its seed and inputs.
+
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh 32-bit seed for a new match
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+module.exports = { createRng, randomSeed };
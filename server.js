@@ -4,8 +4,17 @@ const express  = require('express');
 const http     = require('http');
 const { Server } = require('socket.io');
 const path     = require('path');
+const fs       = require('fs');
 const crypto   = require('crypto');
+const util     = require('util');
 const { GameRoom, MAPS } = require('./game-logic');
+const { buildMap, pickMapFields, addUserMap, mapIndexById, MapError } = require('./maps');
+const { generateMap, GEN_MODES, MIN_GEN_SIZE, MAX_GEN_SIZE } = require('./mapgen');
+const { randomSeed } = require('./rng');
+const { diffState } = require('./public/state-delta');
+const { ReplayRecorder, replayPath } = require('./replay');
+const { validate, validPlayerName } = require('./validation');
+const { TokenBucket, createBuckets } = require('./rate-limit');
 const db       = require('./db');
 
 const app    = express();
@@ -26,6 +35,20 @@ app.get('/api/leaderboard', (req, res) => {
   }
 });
 
+// ── Replays ─────────────────────────────────────────────────
+app.get('/api/replays', (req, res) => {
+  try { res.json(db.getReplays()); } catch(e) { res.json([]); }
+});
+
+// Served gzipped as-is; ?download for the raw .json.gz file
+app.get('/api/replays/:id', (req, res) => {
+  const file = replayPath(req.params.id);
+  if (!file || !fs.existsSync(file)) return res.status(404).json({ error: 'Replay not found' });
+  if ('download' in req.query) return res.download(file);
+  res.set({ 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+  res.sendFile(file);
+});
+
 // ── UID helpers ────────────────────────────────────────────
 // UID is generated server-side per new socket connection and sent to client.
 // Client stores it in localStorage and sends it back on reconnect.
@@ -45,17 +68,60 @@ function getIP(socket) {
   return raw.replace(/^::ffff:/i, '');
 }
 
+function getReqIP(req) {
+  const raw = (req.headers['x-real-ip'] || req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').split(',')[0].trim();
+  return raw.replace(/^::ffff:/i, '');
+}
+
 // ── HTTP: page_open event (called by client on first load) ─
 app.post('/api/pageopen', (req, res) => {
   const { uid, resolution } = req.body || {};
-  const raw = (req.headers['x-real-ip'] || req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').split(',')[0].trim();
-  const ip  = raw.replace(/^::ffff:/i, '');
+  const ip  = getReqIP(req);
   const ua  = req.headers['user-agent'] || '';
   db.log({ uid, event: 'page_open', ip, ua, resolution });
   res.json({ ok: true });
 });
 
+// ── HTTP: map editor saves ─────────────────────────────────
+// Body: { uid, author, map } — map in the maps/*.json format
+const MAP_SAVE_LIMIT = { burst: 5, perSec: 1 / 60 };
+const mapSaveBuckets = new Map();   // ip -> TokenBucket
+
+app.post('/api/maps', (req, res) => {
+  const ip = getReqIP(req);
+  if (!mapSaveBuckets.has(ip)) mapSaveBuckets.set(ip, new TokenBucket(MAP_SAVE_LIMIT));
+  if (!mapSaveBuckets.get(ip).take()) return res.status(429).json({ error: 'Too many maps saved — try again in a minute' });
+
+  const { uid, author, map } = req.body || {};
+  if (!map || typeof map !== 'object') return res.status(400).json({ error: 'No map in request' });
+  const data = pickMapFields(map);
+  try {
+    buildMap(data);
+  } catch (e) {
+    return res.status(400).json({ error: e instanceof MapError ? e.message : 'Malformed map' });
+  }
+
+  const by    = typeof author === 'string' && validPlayerName(author) ? author : null;
+  const id    = db.saveUserMap({
+    uid:    typeof uid === 'string' ? uid.slice(0, 64) : null,
+    author: by,
+    name:   data.name,
+    mode:   data.mode,
+    data:   JSON.stringify(data),
+  });
+  const index = addUserMap(id, data, by);
+  console.log(`[map] "${data.name}" saved as #${index} by ${by || ip}`);
+  io.emit('mapList', getMapList());
+  res.json({ index, name: data.name });
+});
+
 // ── HTTP: admin stats page ─────────────────────────────────
+// Everything from the database is player-supplied (names, room and map names,
+// user agents) — escape it before it goes into the page
+function esc(v) {
+  return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN || 'changeme';   // set via env var on server
 
 app.get('/admin', (req, res) => {
@@ -80,7 +146,8 @@ app.get('/admin', (req, res) => {
   td{padding:5px 10px;border-bottom:1px solid #1a1a1a;font-size:11px;}
   tr:hover td{background:#111;}
   .badge{padding:2px 6px;border-radius:2px;font-size:10px;font-weight:bold;}
-  .win{color:#44FF88;} .loss{color:#FF4444;}
+  .win{color:#44FF88;} .loss{color:#FF4444;} .draw{color:#FFD700;}
+  a{color:#44AAFF;text-decoration:none;} a:hover{text-decoration:underline;}
 </style></head><body>
 <h1>⚔ BATTLE CITY — ADMIN STATS</h1>
 
@@ -94,24 +161,42 @@ app.get('/admin', (req, res) => {
 <table>
   <tr><th>USERNAME</th><th>UID</th><th>GAMES</th><th>WINS</th><th>TOTAL SCORE</th></tr>
   ${s.topPlayers.map(p=>`<tr>
-    <td>${p.username||'?'}</td><td style="color:#555;font-size:10px">${p.uid}</td>
+    <td>${esc(p.username||'?')}</td><td style="color:#555;font-size:10px">${esc(p.uid)}</td>
     <td>${p.games}</td><td class="win">${p.wins}</td><td style="color:#44FF88">${p.total_score}</td>
   </tr>`).join('')}
 </table>
 
 <h2>📋 RECENT RESULTS (last 50)</h2>
 <table>
-  <tr><th>TIME</th><th>UID</th><th>NAME</th><th>ROOM</th><th>MODE</th><th>RESULT</th><th>SCORE</th><th>DEATHS</th><th>DURATION</th></tr>
+  <tr><th>TIME</th><th>UID</th><th>NAME</th><th>ROOM</th><th>MODE</th><th>RESULT</th><th>SCORE</th><th>DEATHS</th><th>STAGE</th><th>DURATION</th><th>REPLAY</th></tr>
   ${s.recentResults.map(r=>`<tr>
     <td>${fmt(r.ts)}</td>
-    <td style="color:#555;font-size:10px">${r.uid}</td>
-    <td>${r.username||'?'}</td>
-    <td>${r.room_name||r.room_id||'?'}</td>
-    <td>${r.mode||'?'}</td>
-    <td class="${r.result}">${r.result?.toUpperCase()}</td>
+    <td style="color:#555;font-size:10px">${esc(r.uid)}</td>
+    <td>${esc(r.username||'?')}</td>
+    <td>${esc(r.room_name||r.room_id||'?')}</td>
+    <td>${esc(r.mode||'?')}</td>
+    <td class="${esc(r.result)}">${esc(r.result?.toUpperCase())}</td>
     <td style="color:#44FF88">${r.score}</td>
     <td style="color:#FF4444">${r.deaths}</td>
+    <td>${esc(r.stage||'—')}</td>
+    <td>${r.duration_s}s</td>
+    <td>${r.replay_id ? `<a href="/?replay=${encodeURIComponent(r.replay_id)}">▶ WATCH</a>` : '—'}</td>
+  </tr>`).join('')}
+</table>
+
+<h2>🎞 REPLAYS (last 20)</h2>
+<table>
+  <tr><th>TIME</th><th>ROOM</th><th>MODE</th><th>MAP</th><th>SEED</th><th>FRAMES</th><th>SIZE</th><th>DURATION</th><th></th></tr>
+  ${s.recentReplays.map(r=>`<tr>
+    <td>${fmt(r.ts)}</td>
+    <td>${esc(r.room_name||r.room_id||'?')}</td>
+    <td>${esc(r.mode||'?')}</td>
+    <td>${esc(r.map_name||'?')}</td>
+    <td style="color:#555">${esc(r.seed)}</td>
+    <td>${r.frames}</td>
+    <td>${Math.round(r.size / 1024)}KB</td>
     <td>${r.duration_s}s</td>
+    <td><a href="/?replay=${encodeURIComponent(r.id)}">▶ WATCH</a> · <a href="/api/replays/${encodeURIComponent(r.id)}?download">⬇ FILE</a></td>
   </tr>`).join('')}
 </table>
 
@@ -120,14 +205,14 @@ app.get('/admin', (req, res) => {
   <tr><th>TIME</th><th>EVENT</th><th>NAME</th><th>UID</th><th>IP</th><th>OS</th><th>BROWSER</th><th>RES</th><th>ROOM</th></tr>
   ${s.recentLog.map(l=>`<tr>
     <td>${fmt(l.ts)}</td>
-    <td><span class="badge" style="color:${eventColor[l.event]||'#aaa'}">${l.event}</span></td>
-    <td>${l.username||'—'}</td>
-    <td style="color:#555;font-size:10px">${l.uid}</td>
-    <td>${l.ip||'?'}</td>
-    <td>${l.os||'?'}</td>
-    <td>${l.browser||'?'}</td>
-    <td>${l.resolution||'?'}</td>
-    <td>${l.room_name||l.room_id||'—'}</td>
+    <td><span class="badge" style="color:${eventColor[l.event]||'#aaa'}">${esc(l.event)}</span></td>
+    <td>${esc(l.username||'—')}</td>
+    <td style="color:#555;font-size:10px">${esc(l.uid)}</td>
+    <td>${esc(l.ip||'?')}</td>
+    <td>${esc(l.os||'?')}</td>
+    <td>${esc(l.browser||'?')}</td>
+    <td>${esc(l.resolution||'?')}</td>
+    <td>${esc(l.room_name||l.room_id||'—')}</td>
   </tr>`).join('')}
 </table>
 </body></html>`);
@@ -136,34 +221,82 @@ app.get('/admin', (req, res) => {
 // ── Room registry ──────────────────────────────────────────
 const rooms = {};
 
+const DM_MODES = new Set(['deathmatch', 'deathmatch_bots', 'team_deathmatch', 'capture_eagle']);
+
+// Numeric room settings a player may pick when creating a room
+const SETTING_RANGES = {
+  fragLimit:  { min: 5, max: 100, label: 'Frag limit' },
+  botCount:   { min: 0, max: 7,   label: 'Bot count' },
+  lives:      { min: 1, max: 9,   label: 'Lives' },
+  enemyCount: { min: 4, max: 50,  label: 'Enemy count' },
+  timeLimit:  { min: 0, max: 30,  label: 'Time limit (minutes)' },
+  maxPlayers: { min: 2, max: 8,   label: 'Max players' },   // co-op rooms top out at 4
+};
+// Random map options (mapgen.js) — checked the same way, but not kept in settings
+const RANDOM_MAP_RANGES = {
+  randomSize: { min: MIN_GEN_SIZE, max: MAX_GEN_SIZE, label: 'Map size' },
+  mapSeed:    { min: 0,            max: 0xFFFFFFFF,   label: 'Seed' },
+};
+const TEST_TEAM_BOTS = 3;   // editor test run of a team deathmatch map: 2 vs 2 with the tester
+
+function rangeError(v, range, max = range.max) {
+  if (Number.isInteger(v) && v >= range.min && v <= max) return null;
+  return `${range.label} must be a whole number from ${range.min} to ${max}`;
+}
+
+// Returns an error message for the first out-of-range setting, or null
+function checkSettings(settings, mode) {
+  for (const [key, range] of Object.entries(SETTING_RANGES)) {
+    if (settings[key] === undefined) continue;
+    const err = rangeError(settings[key], range, key === 'maxPlayers' && !DM_MODES.has(mode) ? 4 : range.max);
+    if (err) return err;
+  }
+  return null;
+}
+
+// Hidden rooms are left out — they're reached through a /?room=<id> link
 function getRoomList() {
-  return Object.values(rooms).map(r => ({
+  return Object.values(rooms).filter(r => !r.hidden).map(r => ({
     id:         r.id,
     name:       r.name,
     map:        r.mapName,
     mode:       r.mode,
     players:    r.game ? r.game.getPlayerCount() : 0,
     maxPlayers: r.maxPlayers,
+    spectators: r.spectators.size,
+    locked:     !!r.password,
     status:     r.game ? (r.game.gameOver ? 'finished' : 'playing') : 'waiting',
+    settings:   r.settings,
   }));
 }
 
-function createRoom(name, mapIndex, isSystem = false) {
+// settings: per-room GameRoom options — { friendlyFire, rounds, botDifficulty } plus SETTING_RANGES keys
+// customMap: a generated or editor test map played instead of MAPS[mapIndex]. It
+// stays on the room, out of `settings`, which the lobby's room list carries.
+function createRoom(name, mapIndex, isSystem = false, settings = {}, customMap = null) {
   const idx  = mapIndex || 0;
-  const map  = MAPS[idx];
-  const isDM = map.mode === 'deathmatch' || map.mode === 'deathmatch_bots';
-  const id   = 'room_' + Date.now() + '_' + Math.random().toString(36).slice(2, 6);
+  const map  = customMap || MAPS[idx];
+  const isDM = DM_MODES.has(map.mode);
+  const id   = 'room_' + Date.now() + '_' + crypto.randomBytes(6).toString('hex');   // unguessable: hidden rooms rely on it
   rooms[id]  = {
     id,
     name:          name || `Room ${Object.keys(rooms).length + 1}`,
     mapIndex:      idx,
     mapName:       map.name,
     mode:          map.mode,
-    maxPlayers:    isDM ? 8 : 4,
+    maxPlayers:    settings.maxPlayers || (isDM ? 8 : 4),
+    settings,
+    customMap,
     isSystem,              // system rooms are never deleted
+    password:      null,       // { salt, hash } (scrypt) when the room is locked
+    hidden:        false,      // unlisted: only reachable by link
     game:          null,
     hostId:        null,
+    spectators:    new Set(),  // socket ids watching without a tank
+    dropped:       new Map(),  // uid -> { socketId, timer }, players inside the reconnect grace period
     stateInterval: null,
+    snapSeq:       0,          // broadcast counter — never reset, so old acks can't match a new game
+    snapshots:     new Map(),  // seq -> state, recent baselines clients may have acked
     startedAt:     null,
     autoResetTimer:   null,
     emptyDestroyTimer: null,  // 30s grace timer when room goes empty
@@ -171,6 +304,10 @@ function createRoom(name, mapIndex, isSystem = false) {
   return rooms[id];
 }
 
+function newGame(room) {
+  return new GameRoom(room.id, room.mapIndex, { ...room.settings, customMap: room.customMap });
+}
+
 // Destroy a user room cleanly — stops game, clears all timers, removes from registry
 function destroyUserRoom(room) {
   if (!room || room.isSystem) return;
@@ -179,6 +316,7 @@ function destroyUserRoom(room) {
   console.log(`[destroy] user room "${room.name}" (${room.id})`);
 
   // Clear all timers
+  for (const d of room.dropped.values()) { clearTimeout(d.timer); delete socketMeta[d.socketId]; }
   if (room.stateInterval)    clearInterval(room.stateInterval);
   if (room.autoResetTimer)   clearTimeout(room.autoResetTimer);
   if (room.emptyDestroyTimer) clearTimeout(room.emptyDestroyTimer);
@@ -193,19 +331,46 @@ function destroyUserRoom(room) {
   io.emit('roomList', getRoomList());
 }
 
+// How many past broadcasts a client's ack may refer to (~1s at 33ms)
+const SNAPSHOT_HISTORY = 32;
+
+// Send every client the changes since the last state it acknowledged,
+// or a full keyframe when it has none we still remember
+function broadcastState(room, state) {
+  const seq = ++room.snapSeq;
+  room.snapshots.set(seq, state);
+  room.snapshots.delete(seq - SNAPSHOT_HISTORY);
+
+  const deltas = new Map();   // base seq -> delta, shared by clients on the same ack
+  for (const sid of io.sockets.adapter.rooms.get(room.id) || []) {
+    const s = io.sockets.sockets.get(sid);
+    if (!s) continue;
+    const base = s.data.ackSeq;
+    if (!room.snapshots.has(base)) { s.emit('gameState', { seq, full: state }); continue; }
+    if (!deltas.has(base)) deltas.set(base, diffState(room.snapshots.get(base), state));
+    s.emit('gameState', { seq, base, delta: deltas.get(base) });
+  }
+}
+
 function startStateLoop(room) {
   if (room.stateInterval) clearInterval(room.stateInterval);
   room.startedAt = Date.now();
+  room.snapshots.clear();   // new game — everyone starts from a keyframe
+  room.recorder = new ReplayRecorder({
+    seed: room.game.seed, roomName: room.name, mode: room.game.mode, mapName: room.game.mapName,
+  });
 
   room.stateInterval = setInterval(() => {
     const g = room.game;
     if (!g) return;
-    io.to(room.id).emit('gameState', g.getState());
+    const state = g.getState();
+    broadcastState(room, state);
+    room.recorder.capture(state);
 
     if (g.gameOver) {
       clearInterval(room.stateInterval);
       room.stateInterval = null;
-      saveRoomResults(room, g);
+      saveRoomResults(room, g, saveReplay(room, g));
 
       // After 35s: reset system rooms, destroy user rooms
       room.autoResetTimer = setTimeout(() => {
@@ -228,12 +393,32 @@ function startStateLoop(room) {
   }, 33);
 }
 
+// ── Write the finished match's replay; returns its id ──────
+// The file and its DB row follow once compression is done.
+function saveReplay(room, game) {
+  const recorder   = room.recorder;
+  const duration_s = room.startedAt ? Math.round((Date.now() - room.startedAt) / 1000) : 0;
+  room.recorder = null;
+  recorder.save()
+    .then(({ id, size, frames }) => db.saveReplay({
+      id, size, frames,
+      roomId:   room.id,
+      roomName: room.name,
+      mode:     game.mode,
+      mapName:  game.mapName,
+      seed:     game.seed,
+      duration_s,
+    }))
+    .catch(e => console.error('[saveReplay]', e.message));
+  return recorder.id;
+}
+
 // ── Save results for all players when game finishes ────────
-function saveRoomResults(room, game) {
+function saveRoomResults(room, game, replayId = null) {
   try {
     const duration_s = room.startedAt ? Math.round((Date.now() - room.startedAt) / 1000) : 0;
     const state      = game.getState();
-    const isDM       = state.mode === 'deathmatch' || state.mode === 'deathmatch_bots';
+    const isDM       = DM_MODES.has(state.mode);
     const allEntities = [...(state.players || []), ...(state.bots || [])];
 
     for (const p of allEntities) {
@@ -243,7 +428,12 @@ function saveRoomResults(room, game) {
       if (!sockData) continue;
 
       let result;
-      if (isDM) {
+      if (state.winner === 'draw') {
+        // Only the tanks (or teams) sharing the top score drew — everyone else lost
+        result = state.drawn.includes(state.teamScores ? p.team : p.id) ? 'draw' : 'loss';
+      } else if (state.teamScores) {
+        result = (state.winner === p.team) ? 'win' : 'loss';
+      } else if (isDM) {
         result = (state.winnerId === p.id) ? 'win' : 'loss';
       } else {
         result = state.winner === 'players' ? 'win' : 'loss';
@@ -259,6 +449,8 @@ function saveRoomResults(room, game) {
         score:      p.score  || 0,
         deaths:     p.deaths || 0,
         duration_s,
+        stage:      isDM ? null : state.stage,
+        replayId,
       });
 
       // Also log game_win event for winners
@@ -279,16 +471,153 @@ function saveRoomResults(room, game) {
   }
 }
 
+// ── Room passwords: scrypt with a per-room salt ────────────
+const scrypt = util.promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return { salt, hash: await scrypt(password, salt, 32) };
+}
+
+async function passwordMatches(stored, password) {
+  return crypto.timingSafeEqual(await scrypt(password, stored.salt, 32), stored.hash);
+}
+
+// ── Per-socket rate limits (see rate-limit.js) ─────────────
+// Inputs arrive at ~30/s. After a network stall a client flushes seconds of
+// buffered inputs at once, so input floods are only dropped, never kicked —
+// the movement budget in game-logic.js keeps them from speeding a tank up.
+const RATE_LIMITS = {
+  input:      { burst: 45, perSec: 40, kick: false },
+  chat:       { burst: 5,  perSec: 0.5 },
+  createRoom: { burst: 3,  perSec: 1 / 30 },
+  testMap:    { burst: 3,  perSec: 1 / 10 },
+  // also slows down password guessing
+  joinRoom:     { burst: 5, perSec: 0.5 },
+  spectateRoom: { burst: 5, perSec: 0.5 },
+};
+
+const NAME_RULES = 'Callsign: 1–12 letters, digits, spaces, _ - or .';
+
 // ── Per-socket metadata store ──────────────────────────────
 // socketMeta[socketId] = { uid, ip, ua, resolution }
 const socketMeta = {};
 
-// Default rooms (system — never auto-deleted)
-createRoom('Classic Battle #1', 0, true);
-createRoom('Fortress Siege',    1, true);
-createRoom('Deathmatch Arena',  2, true);
-createRoom('DM with Bots',      3, true);
-createRoom('Mini DM with Bots', 4, true);
+// ── Dropped connections ────────────────────────────────────
+// A player whose connection drops mid-match keeps their (frozen) tank for
+// RECONNECT_GRACE_MS; rejoining with the same UID takes it back.
+const RECONNECT_GRACE_MS = 20000;
+const DROP_REASONS       = new Set(['transport close', 'transport error', 'ping timeout']);
+
+function holdPlayer(room, socketId, uid) {
+  room.game.suspendPlayer(socketId);
+  const timer = setTimeout(() => {
+    if (room.dropped.get(uid)?.socketId === socketId) room.dropped.delete(uid);
+    delete socketMeta[socketId];
+    if (room.game && room.game.players[socketId]) leaveRoom(room, socketId);
+  }, RECONNECT_GRACE_MS);
+  room.dropped.set(uid, { socketId, timer });
+  console.log(`[hold] ${socketId} in "${room.name}" for ${RECONNECT_GRACE_MS / 1000}s`);
+}
+
+// Take a held player back for `socket`; returns the player or null
+function resumeHeldPlayer(room, socket, uid) {
+  const held = uid && room.dropped.get(uid);
+  if (!held) return null;
+  clearTimeout(held.timer);
+  room.dropped.delete(uid);
+  delete socketMeta[held.socketId];
+  if (room.hostId === held.socketId) room.hostId = socket.id;
+  return room.game ? room.game.resumePlayer(held.socketId, socket.id) : null;
+}
+
+// Socket id of a tank in `room` still bound to another connection with this UID
+function liveTankOf(room, uid, exceptId) {
+  if (!uid || !room.game) return null;
+  return Object.keys(room.game.players).find(id => id !== exceptId && socketMeta[id]?.uid === uid) || null;
+}
+
+// The client usually notices a dead connection long before the server's ping
+// timeout does, so a UID rejoining while its tank is still live is the same
+// player coming back: drop the old socket and hand the tank to `socket`.
+function takeOverLivePlayer(room, socket, uid) {
+  const oldId = liveTankOf(room, uid, socket.id);
+  if (!oldId) return null;
+  const old = io.sockets.sockets.get(oldId);
+  if (old) {
+    old.data.roomId = null;   // its disconnect handler must not remove the tank
+    old.leave(room.id);
+    old.disconnect(true);
+  }
+  delete socketMeta[oldId];
+  if (room.hostId === oldId) room.hostId = socket.id;
+  console.log(`[takeover] ${oldId} → ${socket.id} in "${room.name}"`);
+  return room.game.resumePlayer(oldId, socket.id);
+}
+
+// Remove a player for good; stops the game once the room is empty
+function leaveRoom(room, socketId) {
+  room.game.removePlayer(socketId);
+  io.to(room.id).emit('playerLeft', { id: socketId });
+  io.emit('roomList', getRoomList());
+
+  if (room.game.getPlayerCount() === 0) {
+    room.game.stop();
+    clearInterval(room.stateInterval);
+    room.stateInterval = null;
+    room.game = null;
+
+    // Nothing left to watch
+    for (const sid of room.spectators) io.to(sid).emit('serverReset');
+
+    // User rooms: destroy after 30s if still empty
+    if (!room.isSystem) {
+      // Cancel any existing empty timer (e.g. from a previous empty spell)
+      if (room.emptyDestroyTimer) clearTimeout(room.emptyDestroyTimer);
+
+      room.emptyDestroyTimer = setTimeout(() => {
+        // Only destroy if still empty (no new players joined during the 30s)
+        if (rooms[room.id] && (!room.game || room.game.getPlayerCount() === 0)) {
+          destroyUserRoom(room);
+        }
+        room.emptyDestroyTimer = null;
+      }, 30000);
+
+      console.log(`[empty] user room "${room.name}" — destroying in 30s if no one joins`);
+    }
+  }
+}
+
+// Maps saved from the editor, after the built-in ones
+for (const row of db.getUserMaps()) {
+  try {
+    addUserMap(row.id, JSON.parse(row.data), row.author);
+  } catch (e) {
+    console.error(`[maps] user map #${row.id} rejected: ${e.message}`);
+  }
+}
+
+function getMapList() {
+  return MAPS.map((m, i) => ({ index: i, id: m.id, name: m.name, mode: m.mode, user: !!m.user, author: m.author || null }));
+}
+
+// Default rooms (system — never auto-deleted), by map id. A room whose map
+// file was rejected or removed is left out.
+const SYSTEM_ROOMS = [
+  ['Classic Battle #1', '00-classic'],
+  ['Fortress Siege',    '01-fortress'],
+  ['Deathmatch Arena',  '02-deathmatch-arena'],
+  ['DM with Bots',      '03-dm-with-bots'],
+  ['Mini DM with Bots', '04-mini-dm'],
+  ['River Crossing',    '05-river-crossing'],
+  ['Team Deathmatch',   '06-team-arena'],
+  ['Eagle Siege',       '07-eagle-siege'],
+];
+for (const [name, mapId] of SYSTEM_ROOMS) {
+  const idx = mapIndexById(mapId);
+  if (idx < 0) console.error(`[maps] no map "${mapId}" — system room "${name}" not created`);
+  else createRoom(name, idx, true);
+}
 
 // ── Socket.IO ──────────────────────────────────────────────
 io.on('connection', (socket) => {
@@ -296,20 +625,82 @@ io.on('connection', (socket) => {
   const ua = socket.handshake.headers['user-agent'] || '';
   console.log(`[+] ${socket.id} ${ip}`);
 
+  // Log and drop a socket that sent something our client never would
+  const kick = (event, detail) => {
+    const meta = socketMeta[socket.id] || {};
+    console.warn(`[kick] ${socket.id} ${ip} ${event}: ${detail}`);
+    db.log({
+      uid:        meta.uid,
+      event,
+      username:   socket.data.playerName,
+      ip, ua,
+      resolution: meta.resolution,
+      roomId:     socket.data.roomId,
+      roomName:   rooms[socket.data.roomId]?.name,
+    });
+    socket.disconnect(true);
+  };
+
+  // Every client event goes through here: schema check, then rate limit
+  socket.data.buckets = createBuckets(RATE_LIMITS);
+  const on = (event, handler) => socket.on(event, (payload) => {
+    if (!socket.connected) return;   // already kicked, rest of the batch is ignored
+    const { value, error } = validate(event, payload);
+    if (error) return kick('kick_bad_payload', `${event} — ${error}`);
+    const bucket = socket.data.buckets[event];
+    if (bucket && !bucket.take()) {
+      if (bucket.abusive) kick('kick_rate_limit', event);
+      return;
+    }
+    // Handlers may be async: a throw must not become an unhandled rejection and take the server down
+    Promise.resolve().then(() => handler(value)).catch(err => {
+      console.error(`[error] ${event} from ${socket.id}:`, err);
+      socket.emit('error', 'Server error');
+    });
+  });
+
   socket.emit('roomList', getRoomList());
-  socket.emit('mapList', MAPS.map((m, i) => ({ index: i, name: m.name, mode: m.mode })));
+  socket.emit('mapList', getMapList());
 
   // Client sends its stored UID (or empty if first visit)
-  socket.on('register', ({ uid, resolution } = {}) => {
+  on('register', ({ uid, resolution }) => {
     const resolvedUID = (uid && uid.startsWith('u_')) ? uid : newUID();
     socketMeta[socket.id] = { uid: resolvedUID, ip, ua, resolution };
     // Send UID back so client can persist it
     socket.emit('registered', { uid: resolvedUID });
   });
 
-  socket.on('createRoom', ({ name, mapIndex }) => {
-    const room = createRoom(name, mapIndex);
-    room.hostId = socket.id;
+  on('createRoom', async (opts) => {
+    const { name, mapIndex, randomMode, friendlyFire, rounds, botDifficulty } = opts;
+    if (mapIndex === undefined && !randomMode) return socket.emit('error', 'Pick a map');
+    if (randomMode && !GEN_MODES.includes(randomMode)) return socket.emit('error', 'Random maps can\'t be ' + randomMode);
+    const settings = {
+      friendlyFire:  !!friendlyFire,
+      rounds:        [1, 3, 5].includes(rounds) ? rounds : undefined,
+      botDifficulty: ['easy', 'normal', 'hard'].includes(botDifficulty) ? botDifficulty : undefined,
+    };
+    for (const key in SETTING_RANGES) {
+      if (opts[key] !== undefined && opts[key] !== null) settings[key] = opts[key];
+    }
+    const err = checkSettings(settings, randomMode || (MAPS[mapIndex] || MAPS[0]).mode);
+    if (err) return socket.emit('error', err);
+    for (const [key, range] of Object.entries(RANDOM_MAP_RANGES)) {
+      const rerr = opts[key] !== undefined && rangeError(opts[key], range);
+      if (rerr) return socket.emit('error', rerr);
+    }
+    let customMap = null;
+    if (randomMode) {
+      // The seed is in the map name, so the same map can be asked for again
+      const seed = opts.mapSeed !== undefined ? opts.mapSeed : randomSeed();
+      const size = opts.randomSize || 26;
+      customMap  = buildMap(generateMap({ seed, mode: randomMode, cols: size, rows: size }));
+    }
+
+    const password = opts.password ? await hashPassword(opts.password) : null;
+    const room = createRoom(name, mapIndex, false, settings, customMap);
+    room.hostId   = socket.id;
+    room.password = password;
+    room.hidden   = !!opts.hidden;
     io.emit('roomList', getRoomList());
     socket.emit('roomCreated', { roomId: room.id });
 
@@ -325,18 +716,58 @@ io.on('connection', (socket) => {
     });
   });
 
-  socket.on('joinRoom', ({ roomId, playerName }) => {
+  // Locked rooms need the password — except for a dropped player coming back.
+  // Emits passwordRequired (the client prompts and retries) and returns false otherwise.
+  const mayEnter = async (room, password, spectate) => {
+    if (!room.password) return true;
+    const uid = (socketMeta[socket.id] || {}).uid;
+    if (!spectate && uid && (room.dropped.has(uid) || liveTankOf(room, uid, socket.id))) return true;
+    if (password && await passwordMatches(room.password, password)) return true;
+    socket.emit('passwordRequired', { roomId: room.id, spectate, wrong: !!password });
+    return false;
+  };
+
+  // Map editor test run: a hidden throwaway room on the unsaved map
+  on('testMap', ({ map }) => {
+    let testMap;
+    try {
+      testMap = buildMap(pickMapFields(map));
+    } catch (e) {
+      return socket.emit('error', e instanceof MapError ? `Map: ${e.message}` : 'Malformed map');
+    }
+    // Give the tester something to shoot (capture the eagle fills its teams with bots anyway)
+    if (testMap.mode === 'deathmatch') testMap.mode = 'deathmatch_bots';
+    const settings = testMap.mode === 'team_deathmatch' ? { botCount: TEST_TEAM_BOTS } : {};
+    const room = createRoom(`TEST: ${testMap.name}`, 0, false, settings, testMap);
+    room.hidden = true;
+    room.hostId = socket.id;
+    socket.emit('roomCreated', { roomId: room.id });
+  });
+
+  on('joinRoom', async ({ roomId, playerName, password }) => {
+    if (!validPlayerName(playerName))             return socket.emit('error', NAME_RULES);
+    if (!rooms[roomId])                           return socket.emit('error', 'Room not found');
+    if (!await mayEnter(rooms[roomId], password, false)) return;
+    // Checked after the await: a second joinRoom sent right behind the first has
+    // passed the checks above too, and must not add this socket's tank twice
+    if (socket.data.roomId)                       return;
     const room = rooms[roomId];
     if (!room)                                    return socket.emit('error', 'Room not found');
-    if (!room.game) room.game = new GameRoom(roomId, room.mapIndex);
+    if (!room.game) room.game = newGame(room);
 
     const game = room.game;
-    if (game.getPlayerCount() >= room.maxPlayers) return socket.emit('error', 'Room is full');
-    if (game.gameOver)                            return socket.emit('error', 'Game already over — restart first');
+    const meta = socketMeta[socket.id] || {};
+    // Back within the grace period (or before the server noticed the drop): same tank, same score
+    const resumed = resumeHeldPlayer(room, socket, meta.uid) || takeOverLivePlayer(room, socket, meta.uid);
+    if (!resumed) {
+      if (game.getPlayerCount() >= room.maxPlayers) return socket.emit('roomFull', { roomId });
+      if (game.gameOver)                            return socket.emit('error', 'Game already over — restart first');
+    }
 
     socket.join(roomId);
     socket.data.roomId     = roomId;
     socket.data.playerName = playerName;
+    socket.data.ackSeq     = null;   // first gameState is a keyframe
 
     // Cancel pending empty-room destroy timer if someone joins in time
     if (room.emptyDestroyTimer) {
@@ -345,13 +776,15 @@ io.on('connection', (socket) => {
       console.log(`[empty-cancel] "${room.name}" — player joined before timeout`);
     }
 
-    const player = game.addPlayer(socket.id, playerName);
-    console.log(`[+] ${playerName} → ${room.name}`);
+    const player = resumed || game.addPlayer(socket.id, playerName);
+    console.log(`[+] ${player.name} → ${room.name}${resumed ? ' (reconnected)' : ''}`);
 
     socket.emit('joinedRoom', {
       roomId,
       playerId:  socket.id,
       player,
+      resumed:   !!resumed,
+      hidden:    room.hidden,
       mode:      game.mode,
       cols:      game.cols,
       rows:      game.rows,
@@ -359,14 +792,13 @@ io.on('connection', (socket) => {
       fragLimit: game.fragLimit,
     });
 
-    io.to(roomId).emit('playerJoined', { id: socket.id, name: playerName });
+    io.to(roomId).emit('playerJoined', { id: socket.id, name: player.name, resumed: !!resumed });
     io.emit('roomList', getRoomList());
 
-    const meta = socketMeta[socket.id] || {};
     db.log({
       uid:        meta.uid,
-      event:      'room_join',
-      username:   playerName,
+      event:      resumed ? 'room_rejoin' : 'room_join',
+      username:   player.name,
       ip, ua,
       resolution: meta.resolution,
       roomId:     room.id,
@@ -379,37 +811,72 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('input', (inputs) => {
+  // Watch a running match: joins the socket.io room for gameState, but no tank
+  on('spectateRoom', async ({ roomId, playerName, password }) => {
+    if (!validPlayerName(playerName)) return socket.emit('error', NAME_RULES);
+    if (!rooms[roomId]) return socket.emit('error', 'Room not found');
+    if (!await mayEnter(rooms[roomId], password, true)) return;
+    if (socket.data.roomId) return;   // already in — see joinRoom
+    const room = rooms[roomId];
+    if (!room)      return socket.emit('error', 'Room not found');
+    if (!room.game) return socket.emit('error', 'Nothing to watch — the room is empty');
+
+    socket.join(roomId);
+    socket.data.roomId     = roomId;
+    socket.data.playerName = playerName;
+    socket.data.spectator  = true;
+    socket.data.ackSeq     = null;
+    room.spectators.add(socket.id);
+    console.log(`[spec] ${playerName} → ${room.name}`);
+
+    const game = room.game;
+    socket.emit('spectating', {
+      roomId,
+      mode:      game.mode,
+      cols:      game.cols,
+      rows:      game.rows,
+      mapData:   game.mapData,
+      fragLimit: game.fragLimit,
+    });
+    io.emit('roomList', getRoomList());
+  });
+
+  on('input', (inputs) => {
     const room = rooms[socket.data.roomId];
     if (room && room.game) room.game.handleInput(socket.id, inputs);
   });
 
-  socket.on('ping_',    () => socket.emit('pong_'));
-  socket.on('getRooms', () => socket.emit('roomList', getRoomList()));
+  // Client rebuilt state `seq`; later deltas are diffed against it (null asks for a keyframe)
+  on('stateAck', (seq) => {
+    socket.data.ackSeq = Number.isInteger(seq) ? seq : null;
+  });
+
+  on('ping_',    () => socket.emit('pong_'));
+  on('getRooms', () => socket.emit('roomList', getRoomList()));
 
-  socket.on('chat', (msg) => {
+  on('chat', (msg) => {
     const roomId = socket.data.roomId;
     if (!roomId) return;
     io.to(roomId).emit('chat', {
-      name: socket.data.playerName || 'Unknown',
+      name: (socket.data.spectator ? '[SPEC] ' : '') + (socket.data.playerName || 'Unknown'),
       msg:  String(msg).slice(0, 100),
     });
   });
 
-  socket.on('restartGame', () => {
+  on('restartGame', () => {
     const room = rooms[socket.data.roomId];
-    if (!room || !room.game || !room.game.gameOver) return;
+    if (socket.data.spectator || !room || !room.game || !room.game.gameOver) return;
     if (room.autoResetTimer) { clearTimeout(room.autoResetTimer); room.autoResetTimer = null; }
 
     room.game.stop();
     clearInterval(room.stateInterval);
-    room.game = new GameRoom(room.id, room.mapIndex);
+    room.game = newGame(room);
 
     const sockets = io.sockets.adapter.rooms.get(room.id);
     if (sockets) {
       for (const sid of sockets) {
         const s = io.sockets.sockets.get(sid);
-        if (s) room.game.addPlayer(sid, s.data.playerName);
+        if (s && !s.data.spectator) room.game.addPlayer(sid, s.data.playerName);
       }
     }
 
@@ -418,9 +885,9 @@ io.on('connection', (socket) => {
     io.to(room.id).emit('gameRestarted', { mapData: room.game.mapData, mode: room.game.mode, cols: room.game.cols, rows: room.game.rows });
   });
 
-  socket.on('disconnect', () => {
+  socket.on('disconnect', (reason) => {
     const roomId = socket.data.roomId;
-    console.log(`[-] ${socket.id}`);
+    console.log(`[-] ${socket.id} (${reason})`);
 
     const meta = socketMeta[socket.id] || {};
     if (roomId && rooms[roomId]) {
@@ -435,36 +902,26 @@ io.on('connection', (socket) => {
       });
     }
 
-    delete socketMeta[socket.id];
+    const room = roomId && rooms[roomId];
+    const game = room && room.game;
+    // Lost connection mid-match (not Leave): keep the tank and its socketMeta
+    // (results are saved by UID) for the grace period
+    if (game && !socket.data.spectator && !game.gameOver && game.players[socket.id] &&
+        meta.uid && DROP_REASONS.has(reason)) {
+      holdPlayer(room, socket.id, meta.uid);
+      io.to(roomId).emit('playerDropped', { id: socket.id, name: socket.data.playerName });
+      return;
+    }
 
-    if (!roomId || !rooms[roomId] || !rooms[roomId].game) return;
-    const room = rooms[roomId];
-    room.game.removePlayer(socket.id);
-    io.to(roomId).emit('playerLeft', { id: socket.id });
-    io.emit('roomList', getRoomList());
+    delete socketMeta[socket.id];
 
-    if (room.game.getPlayerCount() === 0) {
-      room.game.stop();
-      clearInterval(room.stateInterval);
-      room.stateInterval = null;
-      room.game = null;
-
-      // User rooms: destroy after 30s if still empty
-      if (!room.isSystem) {
-        // Cancel any existing empty timer (e.g. from a previous empty spell)
-        if (room.emptyDestroyTimer) clearTimeout(room.emptyDestroyTimer);
-
-        room.emptyDestroyTimer = setTimeout(() => {
-          // Only destroy if still empty (no new players joined during the 30s)
-          if (rooms[room.id] && (!room.game || room.game.getPlayerCount() === 0)) {
-            destroyUserRoom(room);
-          }
-          room.emptyDestroyTimer = null;
-        }, 30000);
-
-        console.log(`[empty] user room "${room.name}" — destroying in 30s if no one joins`);
-      }
+    if (!room) return;
+    if (socket.data.spectator) {
+      room.spectators.delete(socket.id);
+      io.emit('roomList', getRoomList());
+      return;
     }
+    if (game) leaveRoom(room, socket.id);
   });
 });
 
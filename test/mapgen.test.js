@@ -0,0 +1,44 @@
+'use strict';
+// mapgen.js: generated maps are valid, fully connected, mirrored and
+// reproducible from their seed. Run with `npm test`.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { generateMap, GEN_MODES, MIN_GEN_SIZE, MAX_GEN_SIZE } = require('../mapgen');
+const { buildMap, reachable } = require('../maps');
+
+const SEEDS = [1, 42, 1234, 0xFFFFFFFF];
+const SIZES = [MIN_GEN_SIZE, 26, MAX_GEN_SIZE];
+
+for (const mode of GEN_MODES) {
+  test(`${mode}: every seed and size builds, with every spawn reachable`, () => {
+    for (const seed of SEEDS) for (const size of SIZES) {
+      const gen = generateMap({ seed, mode, cols: size, rows: size });
+      const map = buildMap(gen);   // throws on anything unplayable, unreachable spawns included
+      const points = [...map.spawnPoints, ...map.enemySpawns, ...map.dmSpawnPoints];
+      const seen   = reachable(map.tiles, map.cols, map.rows, points[0]);
+      for (const p of points) assert.ok(seen.has(p.y * map.cols + p.x), `${mode} #${seed} ${size}: (${p.x},${p.y})`);
+    }
+  });
+}
+
+test('the same seed gives the same map, and the seed is in its name', () => {
+  const a = generateMap({ seed: 777, mode: 'deathmatch', cols: 32, rows: 32 });
+  assert.deepStrictEqual(generateMap({ seed: 777, mode: 'deathmatch', cols: 32, rows: 32 }), a);
+  assert.notDeepStrictEqual(generateMap({ seed: 778, mode: 'deathmatch', cols: 32, rows: 32 }).tiles, a.tiles);
+  assert.match(a.name, /#777$/);
+});
+
+test('deathmatch maps mirror both ways, coop maps left/right', () => {
+  const dm = generateMap({ seed: 5, mode: 'deathmatch', cols: 26, rows: 26 }).tiles;
+  for (const row of dm) assert.strictEqual(row, [...row].reverse().join(''));
+  assert.deepStrictEqual(dm, [...dm].reverse());
+  const coop = generateMap({ seed: 5, mode: 'coop', cols: 26, rows: 26 }).tiles;
+  for (const row of coop) assert.strictEqual(row, [...row].reverse().join(''));
+});
+
+test('sizes are clamped and evened', () => {
+  assert.strictEqual(generateMap({ seed: 1, cols: 4,   rows: 4 }).cols,   MIN_GEN_SIZE);
+  assert.strictEqual(generateMap({ seed: 1, cols: 999, rows: 999 }).rows, MAX_GEN_SIZE);
+  assert.strictEqual(generateMap({ seed: 1, cols: 27,  rows: 27 }).cols,  26);
+});
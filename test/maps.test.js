@@ -0,0 +1,72 @@
+'use strict';
+// maps.js buildMap: every shipped map loads, and a broken map is rejected
+// with a MapError saying what is wrong. Run with `npm test`.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const path   = require('path');
+const { MAPS, buildMap, pickMapFields, MapError } = require('../maps');
+
+// A small valid deathmatch map to break one field at a time
+function dmMap(over = {}) {
+  const tiles = ['22222222', '2......2', '2..11..2', '2..44..2', '2..66..2', '2......2', '2......2', '22222222'];
+  return { name: 'TEST', mode: 'deathmatch', cols: 8, rows: 8, tiles, dmSpawnPoints: [{ x: 1, y: 1 }, { x: 6, y: 6 }], ...over };
+}
+
+const rejects = (m, pattern) => assert.throws(() => buildMap(m), err => err instanceof MapError && pattern.test(err.message));
+
+test('every file in maps/ loaded', () => {
+  const files = fs.readdirSync(path.join(__dirname, '..', 'maps')).filter(f => f.endsWith('.json'));
+  assert.deepStrictEqual(MAPS.filter(m => !m.user).map(m => m.id + '.json'), files.sort());
+});
+
+test('a valid map builds', () => {
+  const map = buildMap(dmMap());
+  assert.strictEqual(map.tiles.length, 64);
+  assert.strictEqual(map.tiles[2 * 8 + 3], 1);
+});
+
+test('name, mode and size are checked', () => {
+  rejects(dmMap({ name: '' }),                     /"name" is missing/);
+  rejects(dmMap({ name: 'X'.repeat(25) }),         /longer than/);
+  rejects(dmMap({ name: '<script>' }),             /may only use/);
+  rejects(dmMap({ mode: 'battle_royale' }),        /"mode" must be one of/);
+  rejects(dmMap({ cols: 7 }),                      /"cols" must be an integer/);
+  rejects(dmMap({ rows: 65 }),                     /"rows" must be an integer/);
+});
+
+test('tiles must match the size and use known tile characters', () => {
+  rejects(dmMap({ tiles: dmMap().tiles.slice(1) }),                         /must have 8 rows/);
+  rejects(dmMap({ tiles: dmMap().tiles.map((r, i) => i === 3 ? r + '.' : r) }), /row 3 is 9 characters/);
+  rejects(dmMap({ tiles: dmMap().tiles.map((r, i) => i === 2 ? '2..x1..2' : r) }), /unknown tile "x"/);
+});
+
+test('spawn points must be on the map, on open ground', () => {
+  rejects(dmMap({ dmSpawnPoints: [{ x: 8, y: 1 }] }), /off the map/);
+  rejects(dmMap({ dmSpawnPoints: [{ x: 3, y: 2 }] }), /not on an empty, bush or ice tile/);
+  rejects(dmMap({ dmSpawnPoints: [{ x: 1 }] }),       /is not \{x, y\}/);
+  rejects(dmMap({ dmSpawnPoints: [] }),               /need "dmSpawnPoints"/);
+});
+
+test('each mode needs its own spawns and eagles', () => {
+  rejects(dmMap({ mode: 'coop' }),                                        /need "spawnPoints"/);
+  rejects(dmMap({ mode: 'coop', spawnPoints: [{ x: 1, y: 1 }] }),         /need "enemySpawns"/);
+  rejects(dmMap({ mode: 'coop', spawnPoints: [{ x: 1, y: 1 }], enemySpawns: [{ x: 6, y: 1 }] }), /need an eagle/);
+  rejects(dmMap({ mode: 'capture_eagle' }),                               /need "eagles"/);
+  rejects(dmMap({ mode: 'capture_eagle', eagles: { red: [{ x: 1, y: 2 }], blue: [] } }), /eagles.red: \(1,2\) is not an eagle tile/);
+});
+
+test('every spawn must be reachable — steel and water wall it in, bricks do not', () => {
+  const walled = dmMap().tiles.map((r, i) => i === 4 ? '22222222' : r);
+  rejects(dmMap({ tiles: walled }), /can't be reached/);
+  const water  = dmMap().tiles.map((r, i) => i === 4 ? '23333332' : r);
+  rejects(dmMap({ tiles: water }),  /can't be reached/);
+  const bricks = dmMap().tiles.map((r, i) => i === 4 ? '21111112' : r);
+  assert.ok(buildMap(dmMap({ tiles: bricks })));
+});
+
+test('pickMapFields drops anything that is not a map-file field', () => {
+  assert.deepStrictEqual(Object.keys(pickMapFields({ ...dmMap(), user: true, id: 'x' })).sort(),
+    ['cols', 'dmSpawnPoints', 'mode', 'name', 'rows', 'tiles']);
+});
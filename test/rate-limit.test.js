@@ -0,0 +1,54 @@
+'use strict';
+// Token buckets: bursts up to `burst`, refill at `perSec`, and only a sustained
+// flood counts as abusive. Run with `npm test`.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { TokenBucket, createBuckets } = require('../rate-limit');
+
+// Bucket on a hand-driven clock
+function bucket(t, opts) {
+  let now = 1e6;
+  t.mock.method(Date, 'now', () => now);
+  return { b: new TokenBucket(opts), advance: ms => { now += ms; } };
+}
+
+const takeN = (b, n) => Array.from({ length: n }, () => b.take());
+
+test('a full bucket allows `burst` messages, then drops', (t) => {
+  const { b } = bucket(t, { burst: 5, perSec: 1 });
+  assert.deepStrictEqual(takeN(b, 6), [true, true, true, true, true, false]);
+  assert.ok(!b.abusive);
+});
+
+test('tokens refill at perSec, up to burst', (t) => {
+  const { b, advance } = bucket(t, { burst: 3, perSec: 2 });
+  takeN(b, 3);
+  advance(500);                       // one token back
+  assert.deepStrictEqual(takeN(b, 2), [true, false]);
+  advance(60000);                     // capped at burst, however long the wait
+  assert.deepStrictEqual(takeN(b, 4), [true, true, true, false]);
+});
+
+test('flooding sinks the balance to -burst and is abusive', (t) => {
+  const { b } = bucket(t, { burst: 4, perSec: 1 });
+  takeN(b, 4 + 3);
+  assert.ok(!b.abusive, 'a short overrun only drops');
+  takeN(b, 1);
+  assert.ok(b.abusive);
+});
+
+test('kick: false only drops — no debt, never abusive', (t) => {
+  const { b, advance } = bucket(t, { burst: 4, perSec: 1, kick: false });
+  takeN(b, 1000);
+  assert.ok(!b.abusive);
+  advance(1000);                      // no debt to pay off: the next token is usable at once
+  assert.deepStrictEqual(takeN(b, 2), [true, false]);
+});
+
+test('createBuckets makes one independent bucket per event', () => {
+  const buckets = createBuckets({ chat: { burst: 1, perSec: 0 }, input: { burst: 2, perSec: 0 } });
+  assert.deepStrictEqual(Object.keys(buckets), ['chat', 'input']);
+  assert.ok(buckets.chat.take() && !buckets.chat.take());
+  assert.ok(buckets.input.take() && buckets.input.take());
+});
@@ -0,0 +1,60 @@
+'use strict';
+// diffState / applyDelta: base + diff(base, next) must rebuild next exactly,
+// whatever changed in between. Run with `npm test`.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { GameRoom }              = require('../game-logic');
+const { mapIndexById }          = require('../maps');
+const { diffState, applyDelta } = require('../public/state-delta');
+
+// Every state of a busy DM-with-bots match: tanks, bullets, broken bricks, respawns
+function states(steps) {
+  const game = new GameRoom('test', mapIndexById('03-dm-with-bots'), { seed: 99 });
+  game.addPlayer('p1', 'ONE');
+  game.start();
+  game.stop();
+  const out = [];
+  for (let step = 0; step < steps; step++) {
+    game.handleInput('p1', { seq: step, up: step % 60 < 30, down: false, left: false, right: step % 60 >= 30, shoot: step % 10 === 0 });
+    game.step();
+    out.push(game.getState());
+  }
+  return out;
+}
+
+test('each delta rebuilds the next state', () => {
+  const all = states(600);
+  for (let i = 1; i < all.length; i++) {
+    assert.deepStrictEqual(applyDelta(all[i - 1], diffState(all[i - 1], all[i])), all[i], `step ${i}`);
+  }
+});
+
+test('a delta against an older acked state rebuilds the current one', () => {
+  const all = states(300);
+  assert.deepStrictEqual(applyDelta(all[0], diffState(all[0], all[299])), all[299]);
+});
+
+test('an unchanged state gives an empty delta', () => {
+  const [s] = states(1);
+  assert.deepStrictEqual(diffState(s, s), {});
+});
+
+test('a few changed tiles go as tiles, most of the map as a whole mapData', () => {
+  const [s] = states(1);
+  const flip = t => t === 3 ? 4 : 3;
+  const few  = { ...s, mapData: s.mapData.map((t, i) => i < 3 ? flip(t) : t) };
+  const many = { ...s, mapData: s.mapData.map(flip) };
+  assert.ok(diffState(s, few).tiles && !diffState(s, few).mapData);
+  assert.ok(diffState(s, many).mapData && !diffState(s, many).tiles);
+  assert.deepStrictEqual(applyDelta(s, diffState(s, few)), few);
+  assert.deepStrictEqual(applyDelta(s, diffState(s, many)), many);
+});
+
+test('removed entities are deleted, new ones added whole', () => {
+  const [s] = states(1);
+  const next = { ...s, players: [{ ...s.players[0], id: 'p2', name: 'TWO' }] };
+  const d    = diffState(s, next);
+  assert.deepStrictEqual(d.players.del, [s.players[0].id]);
+  assert.deepStrictEqual(applyDelta(s, d), next);
+});
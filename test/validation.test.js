@@ -0,0 +1,51 @@
+'use strict';
+// Socket payload schemas: what a modified client could send must be rejected,
+// what the real client sends must get through (trimmed to the schema's keys).
+// Run with `npm test`.
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const { validate, validPlayerName } = require('../validation');
+const { MAPS } = require('../game-logic');
+
+const INPUT = { seq: 1, up: true, down: false, left: false, right: false, shoot: false };
+
+test('a well-formed payload passes, trimmed to the schema keys', () => {
+  assert.deepStrictEqual(validate('input', { ...INPUT, extra: 'x' }), { value: INPUT });
+  assert.deepStrictEqual(validate('joinRoom', { roomId: 'r1', playerName: 'ACE' }),
+    { value: { roomId: 'r1', playerName: 'ACE' } });
+});
+
+test('unknown events and non-object payloads are rejected', () => {
+  assert.ok(validate('dropTables', {}).error);
+  assert.ok(validate('input', null).error);
+  assert.ok(validate('input', [1, 2]).error);
+  assert.ok(validate('input', 'up').error);
+});
+
+test('wrong types, missing fields and out-of-range values are rejected', () => {
+  assert.match(validate('input', { ...INPUT, up: 1 }).error,              /^up:/);
+  assert.match(validate('input', { ...INPUT, seq: 1.5 }).error,           /^seq:/);
+  assert.match(validate('input', { ...INPUT, seq: -1 }).error,            /^seq:/);
+  assert.match(validate('input', { up: true }).error,                     /^seq:/);
+  assert.match(validate('joinRoom', { roomId: '', playerName: 'A' }).error, /^roomId:/);
+  assert.match(validate('chat', 'x'.repeat(101)).error,                   /length/);
+  assert.match(validate('createRoom', { mapIndex: MAPS.length }).error,   /^mapIndex:/);
+  assert.match(validate('testMap', { map: [] }).error,                    /^map:/);
+});
+
+test('lobby form numbers pass any finite value — server.js range-checks them', () => {
+  assert.deepStrictEqual(validate('createRoom', { fragLimit: 5000, mapSeed: -3 }).value, { fragLimit: 5000, mapSeed: -3 });
+  assert.ok(validate('createRoom', { fragLimit: '10' }).error);
+  assert.ok(validate('createRoom', { fragLimit: Infinity }).error);
+  assert.ok(validate('createRoom', { fragLimit: NaN }).error);
+});
+
+test('payload-less events ignore whatever is sent', () => {
+  assert.deepStrictEqual(validate('ping_', { anything: true }), { value: undefined });
+});
+
+test('callsigns', () => {
+  for (const ok of ['ACE', 'tank_1', 'A.B-C D', 'x'.repeat(12)]) assert.ok(validPlayerName(ok), ok);
+  for (const bad of ['', '   ', 'x'.repeat(13), '<b>', 'ÄCE']) assert.ok(!validPlayerName(bad), bad);
+});
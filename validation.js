@@ -0,0 +1,112 @@
+'use strict';
+// Payload schemas for every client → server socket event.
+// server.js runs each payload through validate() before its handler sees it;
+// anything that fails came from a modified client, and the socket is dropped.
+//
+// Field descriptors: { type: 'string' | 'int' | 'number' | 'bool' | 'object', min, max, optional }
+//   min/max bound a string's length or an int's value; max may be a function
+//   (read at check time, e.g. the current number of maps). Values typed into
+//   the lobby form are 'number' with no range: the handler range-checks them
+//   and answers with a readable error instead of a kick.
+// A schema is either a single descriptor (for scalar payloads), an object of
+// named descriptors (only those keys are passed on), or null (payload ignored).
+
+const { MAPS } = require('./game-logic');
+
+const PLAYER_NAME = /^[A-Za-z0-9_\-. ]{1,12}$/;
+
+const str  = (max, extra) => ({ type: 'string', min: 0, max, ...extra });
+const int  = (min, max, extra) => ({ type: 'int', min, max, ...extra });
+const num  = extra => ({ type: 'number', ...extra });   // any finite number
+const bool = extra => ({ type: 'bool', ...extra });
+const obj  = extra => ({ type: 'object', ...extra });   // contents checked by the handler
+const opt  = { optional: true };
+
+const ROOM_ID = str(64, { min: 1 });
+
+const SCHEMAS = {
+  register:     { uid: str(64, opt), resolution: str(32, opt) },
+  createRoom:   {
+    name:          str(20, opt),
+    mapIndex:      int(0, () => MAPS.length - 1, opt),
+    // generated map instead of mapIndex — seed left out = a fresh one
+    randomMode:    str(20, opt),
+    randomSize:    num(opt),
+    mapSeed:       num(opt),
+    password:      str(32, opt),
+    hidden:        bool(opt),
+    friendlyFire:  bool(opt),
+    rounds:        int(1, 9, opt),
+    botDifficulty: str(10, opt),
+    // typed by the user — server.js checkSettings range-checks them
+    fragLimit:     num(opt),
+    botCount:      num(opt),
+    lives:         num(opt),
+    enemyCount:    num(opt),
+    timeLimit:     num(opt),
+    maxPlayers:    num(opt),
+  },
+  joinRoom:     { roomId: ROOM_ID, playerName: str(12, { min: 1 }), password: str(32, opt) },
+  spectateRoom: { roomId: ROOM_ID, playerName: str(12, { min: 1 }), password: str(32, opt) },
+  input:        {
+    seq: int(0, Number.MAX_SAFE_INTEGER),
+    up: bool(), down: bool(), left: bool(), right: bool(), shoot: bool(),
+  },
+  testMap:      { map: obj() },   // maps.js buildMap validates the map itself
+  stateAck:     int(0, Number.MAX_SAFE_INTEGER, opt),
+  chat:         str(100, { min: 1 }),
+  ping_:        null,
+  getRooms:     null,
+  restartGame:  null,
+};
+
+// Error message for one value, or null if it fits
+function checkField(d, v) {
+  if (v === undefined || v === null) return d.optional ? null : 'missing';
+  const max = typeof d.max === 'function' ? d.max() : d.max;
+  switch (d.type) {
+    case 'string':
+      if (typeof v !== 'string')               return 'not a string';
+      if (v.length < d.min || v.length > max)  return `length must be ${d.min}–${max}`;
+      return null;
+    case 'int':
+      if (!Number.isInteger(v))                return 'not an integer';
+      if (v < d.min || v > max)                return `must be ${d.min}–${max}`;
+      return null;
+    case 'number':
+      return typeof v === 'number' && Number.isFinite(v) ? null : 'not a number';
+    case 'bool':
+      return typeof v === 'boolean' ? null : 'not a boolean';
+    case 'object':
+      return typeof v === 'object' && !Array.isArray(v) ? null : 'not an object';
+  }
+  return 'unknown type';
+}
+
+// Returns { value } with only the schema's fields, or { error }
+function validate(event, payload) {
+  if (!(event in SCHEMAS)) return { error: 'unknown event' };
+  const schema = SCHEMAS[event];
+  if (schema === null) return { value: undefined };
+
+  if (schema.type) {
+    const err = checkField(schema, payload);
+    return err ? { error: err } : { value: payload === undefined ? null : payload };
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return { error: 'not an object' };
+  const value = {};
+  for (const key in schema) {
+    const err = checkField(schema[key], payload[key]);
+    if (err) return { error: `${key}: ${err}` };
+    if (payload[key] !== undefined && payload[key] !== null) value[key] = payload[key];
+  }
+  return { value };
+}
+
+// Callsigns: 1–12 letters, digits, spaces, _ - or . (not all spaces)
+function validPlayerName(name) {
+  return PLAYER_NAME.test(name) && name.trim().length > 0;
+}
+
+module.exports = { validate, validPlayerName, SCHEMAS };